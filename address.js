@@ -0,0 +1,145 @@
+// US address parsing / normalization. parseAddress("123 N Main Street Apt 4, Seattle, Washington 98125-1234") ->
+// { street: '123 N MAIN ST', unit: 'APT 4', city: 'SEATTLE', state: 'WA', zip: '98125', zip4: '1234',
+//   canonical: '123 N MAIN ST APT 4, SEATTLE, WA 98125' }.
+// The canonical form is what cache keys, crime lookups and Zillow matching use, so spelling variants of one
+// address ("Street"/"St", "Washington"/"WA", trailing ", USA") share results.
+const { findState, US_STATES } = require('./states');
+
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY', AVENUE: 'AVE', AV: 'AVE', BOULEVARD: 'BLVD', CIRCLE: 'CIR', COURT: 'CT', COVE: 'CV', CRESCENT: 'CRES',
+  DRIVE: 'DR', EXPRESSWAY: 'EXPY', FREEWAY: 'FWY', HIGHWAY: 'HWY', LANE: 'LN', LOOP: 'LOOP', PARKWAY: 'PKWY',
+  PLACE: 'PL', PLAZA: 'PLZ', POINT: 'PT', ROAD: 'RD', ROUTE: 'RTE', SQUARE: 'SQ', STREET: 'ST', TERRACE: 'TER',
+  TRAIL: 'TRL', TURNPIKE: 'TPKE', WAY: 'WAY'
+};
+const SUFFIX_ABBRS = new Set(Object.values(STREET_SUFFIXES));
+const DIRECTIONALS = { NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W', NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW' };
+const DIRECTIONAL_ABBRS = new Set(Object.values(DIRECTIONALS));
+const UNIT_TYPES = { APARTMENT: 'APT', APT: 'APT', UNIT: 'UNIT', SUITE: 'STE', STE: 'STE', FLOOR: 'FL', FL: 'FL', ROOM: 'RM', RM: 'RM',
+  BUILDING: 'BLDG', BLDG: 'BLDG', LOT: 'LOT', SPACE: 'SPC', SPC: 'SPC', TRAILER: 'TRLR', TRLR: 'TRLR', DEPARTMENT: 'DEPT', DEPT: 'DEPT' };
+// State codes that are also common street-suffix abbreviations ("100 Oak Ct"): only taken as a state after a comma or before a ZIP
+const AMBIGUOUS_STATE_ABBRS = new Set(['CT']);
+const STATE_NAMES_BY_LENGTH = US_STATES.map(s => s.name.toUpperCase()).sort((a, b) => b.length - a.length);
+
+const UNIT_RE = new RegExp(`(?:\\b(${Object.keys(UNIT_TYPES).join('|')})\\.?\\s*#?\\s*|#\\s*)([A-Z0-9][A-Z0-9-]*)\\s*$`);
+
+// Pull a trailing state (abbreviation or full name) off `text`. An unknown 2-letter code is reported only when it sits
+// where a state belongs (after a comma or before a ZIP).
+function takeState(text, hadZip) {
+  const t = text.replace(/[\s,]+$/, '');
+  for (const name of STATE_NAMES_BY_LENGTH) {
+    if (t.endsWith(name) && (t.length === name.length || /[\s,]/.test(t[t.length - name.length - 1]))) {
+      const rest = t.slice(0, t.length - name.length);
+      return { state: findState(name), rest, raw: name };
+    }
+  }
+  const m = t.match(/(^|[\s,])([A-Z]{2})$/);
+  if (!m) return null;
+  const st = findState(m[2]);
+  const afterComma = m[1] === ',' || /,\s*$/.test(t.slice(0, t.length - 2));
+  if (!st) return { state: null, rest: t.slice(0, t.length - 2), raw: m[2], unknown: afterComma || hadZip };
+  if (AMBIGUOUS_STATE_ABBRS.has(st.abbr) && !afterComma && !hadZip) return null;
+  return { state: st, rest: t.slice(0, t.length - 2), raw: m[2] };
+}
+
+function normalizeStreet(street) {
+  const words = street.replace(/\./g, '').split(/\s+/).filter(Boolean);
+  // Suffix: the last word, or the one before a trailing directional ("MAIN STREET NORTH")
+  const dirAtEnd = words.length > 3 && (DIRECTIONALS[words[words.length - 1]] || DIRECTIONAL_ABBRS.has(words[words.length - 1]));
+  const suffixIdx = words.length - (dirAtEnd ? 2 : 1);
+  return words.map((w, i) => {
+    if ((i === 1 && /^\d/.test(words[0]) && words.length > 3) || (i === words.length - 1 && dirAtEnd)) return DIRECTIONALS[w] || w;
+    if (i === suffixIdx && i > 0) return STREET_SUFFIXES[w] || w;
+    return w;
+  }).join(' ');
+}
+
+// Split "123 MAIN ST SEATTLE" (no comma between street and city) after the last street suffix
+function splitStreetCity(text) {
+  const words = text.split(/\s+/);
+  for (let i = words.length - 2; i >= 1; i--) {
+    const w = words[i].replace(/\./g, '');
+    if (SUFFIX_ABBRS.has(w) || STREET_SUFFIXES[w]) {
+      let end = i + 1;
+      if (DIRECTIONALS[words[end]] || DIRECTIONAL_ABBRS.has(words[end])) end++;
+      // "... ST UNIT 3 BOULDER", "... ST #3 BOULDER"
+      if (UNIT_TYPES[words[end]] || words[end] === '#') end += 2;
+      else if (/^#\w/.test(words[end] || '')) end++;
+      if (end < words.length) return { street: words.slice(0, end).join(' '), city: words.slice(end).join(' ') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a US address into components.
+ * @param {string} input
+ * @returns {{input:string, street:string|null, unit:string|null, city:string|null, state:string|null, state_name:string|null,
+ *   zip:string|null, zip4:string|null, canonical:string|null, complete:boolean, missing:string[], errors:string[]}}
+ *   `errors` explains why the address could not be parsed (canonical is then null); `missing` lists absent parts.
+ */
+function parseAddress(input) {
+  const out = { input: String(input ?? ''), street: null, unit: null, city: null, state: null, state_name: null, zip: null, zip4: null, canonical: null, complete: false, missing: [], errors: [] };
+  let text = out.input.toUpperCase().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ').trim()
+    .replace(/(?:^|[\s,])(USA|U\.S\.A\.?|UNITED STATES(?: OF AMERICA)?|US)\.?$/, '').replace(/[\s,]+$/, '');
+  if (!text) { out.errors.push('Address is empty.'); return out; }
+
+  const zipMatch = text.match(/(?:^|[\s,])(\d{5})(?:[-\s]?(\d{4}))?$/);
+  if (zipMatch) {
+    out.zip = zipMatch[1];
+    out.zip4 = zipMatch[2] || null;
+    text = text.slice(0, zipMatch.index).replace(/[\s,]+$/, '');
+  } else if (/\b[A-Z]{2},?\s+(\d{1,4}|\d{6,9}|\d{5}-\d{1,3})$/.test(text)) {
+    out.errors.push(`"${text.split(/[\s,]/).pop()}" is not a valid ZIP or ZIP+4 code.`);
+    text = text.replace(/[\s,]+\S+$/, '');
+  }
+
+  const st = text ? takeState(text, !!out.zip) : null;
+  if (st?.unknown) out.errors.push(`"${st.raw}" is not a US state or state abbreviation.`);
+  if (st?.state) {
+    out.state = st.state.abbr;
+    out.state_name = st.state.name;
+    text = st.rest.replace(/[\s,]+$/, '');
+  }
+
+  const parts = text ? text.split(',').map(p => p.trim()).filter(Boolean) : [];
+  let streetParts = parts;
+  if (parts.length >= 2) {
+    out.city = parts[parts.length - 1];
+    streetParts = parts.slice(0, -1);
+  } else if (parts.length === 1) {
+    const split = /^\d/.test(parts[0]) && (out.state || out.zip) ? splitStreetCity(parts[0]) : null;
+    if (split) { streetParts = [split.street]; out.city = split.city; }
+    else if (!/^\d/.test(parts[0]) && (out.state || out.zip)) { out.city = parts[0]; streetParts = []; }
+  }
+  // A unit can be its own comma part ("Apt 4", before or after the street) or trail the street ("123 Main St #4")
+  streetParts = streetParts.map(p => {
+    const m = !out.unit && p.match(UNIT_RE);
+    if (!m) return p;
+    out.unit = m[1] ? `${UNIT_TYPES[m[1]]} ${m[2]}` : `#${m[2]}`;
+    return p.slice(0, m.index).trim();
+  });
+  const street = streetParts.filter(Boolean).join(' ');
+  if (street) out.street = normalizeStreet(street);
+  if (out.city) out.city = out.city.replace(/\./g, '').replace(/^SAINT /, 'ST ');
+  if (out.city && /\d/.test(out.city)) out.errors.push(`City "${out.city}" contains digits; check the comma placement.`);
+
+  for (const k of ['street', 'city', 'state', 'zip']) if (!out[k]) out.missing.push(k);
+  if (!out.state && !out.zip && !out.errors.length) out.errors.push('No state or ZIP code found; expected "street, city, ST 12345".');
+  out.complete = !out.missing.length && !out.errors.length;
+  if (!out.errors.length) {
+    const stateZip = [out.state, out.zip].filter(Boolean).join(' ');
+    out.canonical = [[out.street, out.unit].filter(Boolean).join(' '), out.city, stateZip].filter(Boolean).join(', ');
+  }
+  return out;
+}
+
+/**
+ * Canonical form of an address (see parseAddress), or null when it can't be parsed.
+ * @param {string} address
+ * @returns {string|null}
+ */
+function canonicalAddress(address) {
+  return parseAddress(address).canonical;
+}
+
+module.exports = { parseAddress, canonicalAddress };
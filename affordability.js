@@ -0,0 +1,104 @@
+// Mortgage affordability math: monthly cost (P&I, PITI), income needed at standard debt-to-income ratios,
+// and a "what if" over a historical value series (same loan terms, the price the home would have had each year).
+
+const AFFORDABILITY_DEFAULTS = { down_payment_pct: 20, rate_pct: 6.75, term_years: 30, tax_rate_pct: 1.1, insurance_annual: 1500, other_debts_monthly: 0 };
+
+// Common lender guidelines: 28% of gross income for housing (front-end), 36% for all debts (back-end),
+// 43% the qualified-mortgage ceiling for all debts.
+const DTI_RATIOS = [
+  { key: 'front_end_28', ratio: 0.28, includes_debts: false },
+  { key: 'back_end_36', ratio: 0.36, includes_debts: true },
+  { key: 'max_qm_43', ratio: 0.43, includes_debts: true }
+];
+
+// [field, min, max]
+const INPUT_RANGES = [
+  ['down_payment_pct', 0, 100],
+  ['rate_pct', 0, 30],
+  ['term_years', 1, 50],
+  ['tax_rate_pct', 0, 10],
+  ['insurance_annual', 0, 100000],
+  ['other_debts_monthly', 0, 1000000]
+];
+
+const round = (v) => Math.round(v);
+
+/**
+ * Merge user inputs over the defaults and check ranges.
+ * @param {object} body Request body (numbers or numeric strings; empty values use the defaults)
+ * @returns {{inputs: object, errors: string[]}}
+ */
+function normalizeAffordabilityInputs(body = {}) {
+  const inputs = { ...AFFORDABILITY_DEFAULTS };
+  const errors = [];
+  for (const [field, min, max] of INPUT_RANGES) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const v = Number(raw);
+    if (!Number.isFinite(v) || v < min || v > max) errors.push(`${field} must be a number between ${min} and ${max}`);
+    else inputs[field] = v;
+  }
+  return { inputs, errors };
+}
+
+/**
+ * Monthly principal + interest for a fully amortizing fixed-rate loan.
+ * @param {number} principal
+ * @param {number} ratePct Annual rate in percent
+ * @param {number} termYears
+ */
+function monthlyPayment(principal, ratePct, termYears) {
+  const n = termYears * 12;
+  const r = ratePct / 100 / 12;
+  if (principal <= 0) return 0;
+  if (!r) return principal / n;
+  return principal * r / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * Monthly cost breakdown and income needed for one purchase price.
+ * @param {number} price
+ * @param {object} inputs Output of normalizeAffordabilityInputs().inputs
+ */
+function computeAffordability(price, inputs) {
+  const down = price * inputs.down_payment_pct / 100;
+  const loan = price - down;
+  const pi = monthlyPayment(loan, inputs.rate_pct, inputs.term_years);
+  const tax = price * inputs.tax_rate_pct / 100 / 12;
+  const insurance = inputs.insurance_annual / 12;
+  const piti = pi + tax + insurance;
+  const income_needed = {};
+  for (const { key, ratio, includes_debts } of DTI_RATIOS) {
+    income_needed[key] = round(((piti + (includes_debts ? inputs.other_debts_monthly : 0)) / ratio) * 12);
+  }
+  return {
+    price: round(price),
+    down_payment: round(down),
+    loan_amount: round(loan),
+    monthly: { principal_interest: round(pi), property_tax: round(tax), insurance: round(insurance), piti: round(piti) },
+    total_interest: round(pi * inputs.term_years * 12 - loan),
+    income_needed
+  };
+}
+
+/**
+ * "What if" over history: the price tracked by the series each year (last month per year, scaled so the latest
+ * point equals `price`) with today's terms applied.
+ * @param {{ym:string, value:number}[]} series Monthly values, oldest first
+ * @param {number} price Current price the series is scaled to
+ * @param {object} inputs
+ * @returns {{year:string, month:string, price:number, principal_interest:number, piti:number, income_needed_28:number}[]}
+ */
+function affordabilityWhatIf(series, price, inputs) {
+  const points = (series || []).filter(p => p && p.value > 0);
+  if (!points.length) return [];
+  const scale = price / points[points.length - 1].value;
+  const byYear = new Map();
+  for (const p of points) byYear.set(p.ym.slice(0, 4), p); // last month wins
+  return Array.from(byYear.entries()).map(([year, p]) => {
+    const a = computeAffordability(p.value * scale, inputs);
+    return { year, month: p.ym, price: a.price, principal_interest: a.monthly.principal_interest, piti: a.monthly.piti, income_needed_28: a.income_needed.front_end_28 };
+  });
+}
+
+module.exports = { normalizeAffordabilityInputs, computeAffordability, affordabilityWhatIf, AFFORDABILITY_DEFAULTS, DTI_RATIOS };
@@ -0,0 +1,103 @@
+// Law-enforcement agency selection for crime lookups.
+// Agencies come from the FBI API page by page (states with more than one page of agencies are no longer cut off);
+// the choice is the city's police department, confirmed by county FIPS when the geocoder supplies one, else the
+// county sheriff (unincorporated areas), else nothing (state estimates). Coverage comes from /participation/agencies:
+// how many months of each year the agency actually reported.
+
+const AGENCY_PAGE_SIZE = 500;
+const MAX_AGENCY_PAGES = 20;
+
+const upper = (v) => String(v || '').toUpperCase().replace(/\./g, '').replace(/^SAINT /, 'ST ').trim();
+const countyName = (v) => upper(v).replace(/\s+(COUNTY|PARISH|BOROUGH|CENSUS AREA|MUNICIPALITY)$/, '');
+
+/**
+ * All agencies of a state, following pagination.
+ * @param {import('./crimedata').CrimeDataApi} api createCrimeDataApi() instance
+ * @param {string} state Two-letter abbreviation
+ * @returns {Promise<object[]>}
+ */
+async function fetchStateAgencies(api, state) {
+  const agencies = [];
+  for (let page = 1; page <= MAX_AGENCY_PAGES; page++) {
+    const { pagination, results: rows } = await api.listAgencies({ stateAbbr: state, page, per_page: AGENCY_PAGE_SIZE });
+    agencies.push(...rows);
+    // Stop at the last page: from pagination when present, else when a page comes back short
+    const pages = pagination?.pages;
+    if (pages ? page >= pages : rows.length < AGENCY_PAGE_SIZE) break;
+  }
+  return agencies;
+}
+
+/**
+ * Pick the agency whose numbers best describe an address.
+ * @param {object[]} agencies Agency records (swagger `Agency`)
+ * @param {{city?:string, county?:string, countyFips?:string, year?:number}} place From the geocoder / parsed address
+ * @returns {{agency:object|null, match:'city'|'county'|null, reason:string, candidates:number}}
+ */
+function chooseAgency(agencies, { city, county, countyFips, year } = {}) {
+  const cityKey = upper(city);
+  const countyKey = countyName(county);
+  const active = agencies.filter(a => a.ori && !(a.dormant_year && year && a.dormant_year < year));
+  const inCounty = (a) => {
+    if (countyFips && a.primary_county_fips) return String(a.primary_county_fips).padStart(5, '0') === countyFips;
+    if (countyKey && a.primary_county) return countyName(a.primary_county) === countyKey;
+    return null; // unknown
+  };
+  const byPopulation = (a, b) => (b.population || 0) - (a.population || 0);
+  const where = county || (countyFips ? `county ${countyFips}` : '');
+
+  if (cityKey) {
+    const cityMatches = active.filter(a => {
+      const name = upper(a.agency_name);
+      const isCityAgency = !a.agency_type_name || a.agency_type_name === 'City' || /POLICE/.test(name);
+      return isCityAgency && (upper(a.city_name) === cityKey || name.startsWith(`${cityKey} `) || name.includes(`${cityKey} POLICE`));
+    });
+    // A same-named city in another county (e.g. "Springfield") is not this address's police
+    const confirmed = cityMatches.filter(a => inCounty(a) !== false).sort(byPopulation);
+    if (confirmed.length) {
+      const a = confirmed[0];
+      const why = inCounty(a) ? `its primary county matches the address (${a.primary_county || countyFips})` : 'its city matches the address';
+      return { agency: a, match: 'city', reason: `${a.agency_name} serves ${city}; ${why}${confirmed.length > 1 ? `; the most populous of ${confirmed.length} matching agencies` : ''}.`, candidates: confirmed.length };
+    }
+  }
+
+  // Unincorporated areas (or a city without its own department): the county sheriff
+  const sheriffs = active.filter(a => {
+    const name = upper(a.agency_name);
+    return (a.agency_type_name === 'County' || /SHERIFF|COUNTY POLICE/.test(name)) && inCounty(a) === true;
+  }).sort((a, b) => /SHERIFF/.test(upper(b.agency_name)) - /SHERIFF/.test(upper(a.agency_name)) || byPopulation(a, b));
+  if (sheriffs.length) {
+    const a = sheriffs[0];
+    const noCity = cityKey ? `no police department for ${city} in ${where || 'this county'}` : 'the address has no city';
+    return { agency: a, match: 'county', reason: `${a.agency_name} covers ${where || a.primary_county}; ${noCity}, so the county agency is used.`, candidates: sheriffs.length };
+  }
+  const missing = !countyFips && !countyKey ? ' (county unknown, so no sheriff fallback)' : '';
+  return { agency: null, match: null, reason: `No police or sheriff agency matched ${[city, where].filter(Boolean).join(', ') || 'the address'}${missing}.`, candidates: 0 };
+}
+
+/**
+ * Months the agency reported per year, from /participation/agencies.
+ * @param {import('./crimedata').CrimeDataApi} api
+ * @param {string} ori
+ * @param {number[]} years
+ * @returns {Promise<{by_year:Object<string,number|null>, months_reported:number, months_possible:number, full_years:number[], partial_years:number[]}>}
+ */
+async function fetchAgencyParticipation(api, ori, years) {
+  const { results } = await api.agencyParticipation({ agency_ori: ori, page: 1, per_page: 100 });
+  const months = {};
+  for (const row of results) {
+    if (row.agency_ori && row.agency_ori !== ori) continue;
+    if (years.includes(+row.year) && Number.isFinite(row.months_reported)) months[row.year] = row.months_reported;
+  }
+  const by_year = Object.fromEntries(years.map(y => [y, months[y] ?? null]));
+  const known = years.filter(y => by_year[y] !== null);
+  return {
+    by_year,
+    months_reported: known.reduce((s, y) => s + by_year[y], 0),
+    months_possible: known.length * 12,
+    full_years: known.filter(y => by_year[y] === 12),
+    partial_years: known.filter(y => by_year[y] < 12)
+  };
+}
+
+module.exports = { fetchStateAgencies, chooseAgency, fetchAgencyParticipation };
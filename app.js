@@ -43,6 +43,34 @@ const formatNamedList = (items) => {
   return items.map(item => `${item.name} (${item.distance_mi} mi)`).join(', ');
 };
 
+// Report sections in display order, with card titles (used for loading placeholders and per-section errors).
+const SECTION_TITLES = {
+  amenities_access: 'Amenities Access',
+  commute: 'Commute',
+  schools: 'Schools',
+  crime: 'Crime',
+  broadband: 'Broadband',
+  environmental_risk: 'Environmental Risk',
+  property_value: 'Surrounding Area Values',
+  value_estimate: 'Size-Based Estimate'
+};
+
+/**
+ * Creates a placeholder card for a section that is still loading or failed.
+ * @param {string} key - Section key (see SECTION_TITLES).
+ * @param {string} message - Text shown in the card body.
+ * @param {boolean} [isError=false] - Render as an error state.
+ * @returns {HTMLDivElement}
+ */
+const createStatusCard = (key, message, isError = false) => {
+  const { card } = createCard(SECTION_TITLES[key] || key);
+  card.classList.add(isError ? 'section-error' : 'section-loading');
+  const p = document.createElement('p');
+  p.textContent = message;
+  card.appendChild(p);
+  return card;
+};
+
 async function getPlaceDetails(placeName, address, button) {
   button.disabled = true;
   button.textContent = 'Loading...';
@@ -75,24 +103,140 @@ async function getPlaceDetails(placeName, address, button) {
 }
 
 /**
- * Renders all property data into the container.
+ * Which agency the crime numbers come from, why it was chosen and how many months it reported.
+ * @param {object} agency crime.agency from the server
+ * @param {string} level crime.stats.level ('state' when the agency had no usable data)
+ * @returns {HTMLElement}
+ */
+function renderCrimeAgency(agency, level) {
+  const p = document.createElement('p');
+  p.className = 'crime-agency';
+  const c = agency.coverage;
+  let coverage = '';
+  if (c && c.months_possible) {
+    const gaps = Object.entries(c.by_year).filter(([, m]) => m !== null && m < 12).map(([y, m]) => `${y}: ${m}/12`);
+    coverage = `<br><small>Reported ${c.months_reported} of ${c.months_possible} months${gaps.length ? ` (${gaps.join(', ')})` : ''}.</small>`;
+  }
+  const name = agency.name ? `${agency.name}${agency.ori ? ` (${agency.ori})` : ''}` : 'None matched';
+  const used = agency.name && level === 'state' ? ' – no usable data, state estimates shown' : '';
+  p.innerHTML = `<small><strong>Agency:</strong> ${name}${used}<br>${agency.reason}</small>${coverage}`;
+  return p;
+}
+
+/**
+ * NIBRS breakdowns (crime.details) as expandable lists: location types (with residence / parking / street shares)
+ * and property-crime sub-types, each with a share bar.
+ * @param {object} details crime.details from the server
+ * @param {{open?:boolean}} [opts]
+ * @returns {HTMLElement}
+ */
+function renderCrimeDetails(details, { open = false } = {}) {
+  const wrap = document.createElement('div');
+  wrap.className = 'crime-details';
+  const list = (b) => `<table class="crime-details-table"><tbody>${b.items.map(it => `
+    <tr><td>${it.label}</td><td>${it.count.toLocaleString()}</td><td><span class="crime-details-bar" style="width:${Math.max(2, it.share_pct)}%"></span> ${it.share_pct}%</td></tr>`).join('')}</tbody></table>`;
+  // State-level lists carry a label ("WA statewide") so they are not read as the agency's own numbers
+  const section = (title, b, extra = '') => `<details${open ? ' open' : ''}><summary>${title}${b ? ` – ${b.label || b.name}, ${b.year}` : ''}</summary>${b ? `${extra}${list(b)}` : '<p><em>Not available.</em></p>'}</details>`;
+  const loc = details.location_types;
+  const tod = details.time_of_day;
+  const categories = loc ? `<p class="crime-details-cats">${['residence', 'parking', 'street', 'commercial', 'other'].map(c => `${c[0].toUpperCase()}${c.slice(1)} ${loc.by_category[c].share_pct}%`).join(' · ')}</p>` : '';
+  wrap.innerHTML = section('Where offenses happen', loc, categories)
+    + section('Property crime by type', details.property_subtypes)
+    + (tod?.available ? section('Time of day', tod) : `<p class="crime-trend-note">${tod?.note || 'Time of day not available.'}</p>`)
+    + (details.notes || []).map(n => `<p class="crime-trend-note">${n}</p>`).join('');
+  return wrap;
+}
+
+// Benchmark ratio (local rate / state or US rate) -> color; bounds mirror BENCHMARK_RATINGS in benchmark.js
+const CRIME_BENCHMARK_COLORS = [[0.75, '#4ade80'], [0.9, '#86efac'], [1.1, '#9ca3af'], [1.5, '#fb923c'], [Infinity, '#f87171']];
+const benchmarkRatio = (ratio) => (ratio === null || ratio === undefined ? '—'
+  : `<span style="color:${CRIME_BENCHMARK_COLORS.find(([max]) => ratio < max)[1]}">${ratio.toFixed(2)}×</span>`);
+
+const CRIME_TREND_DIRECTIONS = { rising: ['▲', '#f87171'], falling: ['▼', '#4ade80'], stable: ['▬', '#9ca3af'], insufficient_data: ['·', '#6b7280'] };
+
+/**
+ * Multi-year FBI crime trend: the summary plus one small chart per offense (rate per 100k, or count when the
+ * population is unknown). Years without reporting are gaps marked "no data", never zeros.
+ * @param {object} trend crime.trend from the server
+ * @returns {HTMLElement}
+ */
+function renderCrimeTrend(trend) {
+  const wrap = document.createElement('div');
+  wrap.className = 'crime-trend';
+  wrap.innerHTML = `<p><strong>Trend ${trend.from}–${trend.to}:</strong> ${trend.summary}</p>${trend.note ? `<p class="crime-trend-note">${trend.note}</p>` : ''}`;
+  const grid = document.createElement('div');
+  grid.className = 'crime-multiples';
+  const labels = { violent_crime: 'Violent Crime', property_crime: 'Property Crime', homicide: 'Homicide', robbery: 'Robbery', aggravated_assault: 'Aggravated Assault', burglary: 'Burglary', larceny: 'Larceny', motor_vehicle_theft: 'Motor Vehicle Theft', arson: 'Arson' };
+  for (const [field, t] of Object.entries(trend.offenses || {})) {
+    if (!t.series.some(p => p.reported)) continue;
+    const [arrow, color] = CRIME_TREND_DIRECTIONS[t.direction] || CRIME_TREND_DIRECTIONS.stable;
+    const usesRate = t.series.some(p => p.rate_per_100k !== null);
+    const tile = document.createElement('div');
+    tile.className = 'crime-multiple';
+    tile.innerHTML = `<div class="crime-multiple-head"><span>${labels[field] || field}</span><span style="color:${color}" title="${t.direction.replace('_', ' ')}">${arrow} ${t.change_pct !== null && t.change_pct !== undefined ? `${t.change_pct > 0 ? '+' : ''}${t.change_pct}%` : ''}</span></div>`;
+    const chartDiv = document.createElement('div');
+    tile.appendChild(chartDiv);
+    const missing = t.series.filter(p => !p.reported).map(p => p.year);
+    if (missing.length) tile.insertAdjacentHTML('beforeend', `<div class="crime-multiple-gap">No data: ${missing.join(', ')}</div>`);
+    grid.appendChild(tile);
+    if (!window.ApexCharts) continue;
+    const options = {
+      series: [{ name: usesRate ? 'Per 100k' : 'Offenses', data: t.series.map(p => (usesRate ? p.rate_per_100k : p.count)) }],
+      chart: { type: 'line', height: 90, sparkline: { enabled: true }, animations: { enabled: false } },
+      stroke: { curve: 'straight', width: 2 },
+      markers: { size: 3 },
+      colors: [color],
+      xaxis: { categories: t.series.map(p => p.year) },
+      annotations: { xaxis: missing.map(y => ({ x: y, borderColor: '#6b7280', strokeDashArray: 3, label: { text: 'no data', orientation: 'horizontal', style: { color: '#111827', background: '#9ca3af', fontSize: '9px' } } })) },
+      tooltip: { theme: 'dark', x: { show: true }, y: { formatter: (v, { dataPointIndex }) => { const p = t.series[dataPointIndex]; return v === null || v === undefined ? 'no data' : `${v.toLocaleString()}${p.yoy_pct !== null ? ` (${p.yoy_pct > 0 ? '+' : ''}${p.yoy_pct}% YoY)` : ''}`; } } }
+    };
+    setTimeout(() => { try { new ApexCharts(chartDiv, options).render(); } catch (e) { console.warn('ApexCharts render failed', e); } }, 0);
+  }
+  wrap.appendChild(grid);
+  return wrap;
+}
+
+/**
+ * Renders property data into the container. Each card is tagged with its section key so a later
+ * call with `opts.only` can replace individual cards (used while sections stream in).
  * @param {HTMLElement} container - The element to render the cards into.
- * @param {object} data - The full property details JSON object.
+ * @param {object} data - The property details JSON object (possibly partial).
+ * @param {object} [opts]
+ * @param {string[]} [opts.only] - Re-render just these sections in place.
+ * @param {string[]} [opts.pending] - Sections still loading; shown as placeholders.
  */
-const renderPropertyData = (container, data) => {
-  // Clear any previous content
-  container.innerHTML = '';
+const renderPropertyData = (container, data, opts = {}) => {
+  const only = opts.only || null;
+  const errors = data._errors || {};
+  const shouldRender = (key) => !only || only.includes(key);
+
+  // Put a card in its section slot (replacing a placeholder / older version) or append it
+  const placeCard = (key, card) => {
+    card.dataset.section = key;
+    const existing = container.querySelector(`[data-section="${key}"]`);
+    if (existing) existing.replaceWith(card);
+    else container.appendChild(card);
+  };
+
+  if (!only) {
+    // Clear any previous content, then lay out slots in display order so streamed sections keep their place
+    container.innerHTML = '';
+    const pending = opts.pending || [];
+    Object.keys(SECTION_TITLES)
+      .filter(k => data[k] || pending.includes(k) || errors[k])
+      .forEach(k => placeCard(k, createStatusCard(k, 'Loading...')));
+  }
 
   // Generic function to render a section card
   const renderSection = (title, contentRenderer, sectionData, options = {}) => {
-    if (!sectionData) return;
+    if (!sectionData || !shouldRender(options.key)) return;
     const { card, detailsButton } = createCard(title, { addDetailsButton: options.addDetailsButton });
     const content = contentRenderer(sectionData, { card, detailsButton });
     content.forEach(el => card.appendChild(el));
     if (detailsButton && options.onDetails) {
       detailsButton.addEventListener('click', () => options.onDetails({ card, button: detailsButton, sectionData }));
     }
-    container.appendChild(card);
+    placeCard(options.key, card);
   };
 
   // --- Render all sections using the data ---
@@ -103,9 +247,9 @@ const renderPropertyData = (container, data) => {
     const scoresDiv = document.createElement('div');
     scoresDiv.className = 'score-grid';
     scoresDiv.innerHTML = `
-      <div class="score-box"><strong>Walk Score</strong><div class="score-value">${d.walk_score}</div></div>
-      <div class="score-box"><strong>Transit Score</strong><div class="score-value">${d.transit_score}</div></div>
-      <div class="score-box"><strong>Bike Score</strong><div class="score-value">${d.bike_score}</div></div>`;
+      <div class="score-box"><strong>Walk Score</strong><div class="score-value">${d.walk_score ?? '—'}</div></div>
+      <div class="score-box"><strong>Transit Score</strong><div class="score-value">${d.transit_score ?? '—'}</div></div>
+      <div class="score-box"><strong>Bike Score</strong><div class="score-value">${d.bike_score ?? '—'}</div></div>`;
 
     const ul = document.createElement('ul');
     const notable = d.notable_amenities || {};
@@ -131,6 +275,7 @@ const renderPropertyData = (container, data) => {
 
     return [scoresDiv, ul];
   }, data.amenities_access, {
+    key: 'amenities_access',
     addDetailsButton: true,
     onDetails: async ({ card, button, sectionData }) => {
       if (card.dataset.detailsLoaded) return; // prevent duplicate fetch
@@ -202,7 +347,7 @@ const renderPropertyData = (container, data) => {
       ul.appendChild(li);
     });
     return [busAccess, majorRoutes, ul];
-  }, data.commute);
+  }, data.commute, { key: 'commute' });
 
   if (data.schools) renderSection('Schools', (d) => {
     const ul = document.createElement('ul');
@@ -216,6 +361,7 @@ const renderPropertyData = (container, data) => {
     }
     return [ul];
   }, data.schools, {
+    key: 'schools',
     addDetailsButton: true,
     onDetails: async ({ card, button }) => {
       if (card.dataset.detailsLoaded) return;
@@ -261,58 +407,90 @@ const renderPropertyData = (container, data) => {
       context.textContent = d.context;
       elements.push(context);
     }
-    if (d.trend) {
-      const trend = document.createElement('p');
-      trend.innerHTML = `<em>${d.trend}</em>`;
-      elements.push(trend);
-    }
     if (d.stats) {
       if (d.stats.note) {
         const note = document.createElement('p');
         note.innerHTML = `<em>${d.stats.note}</em>`;
         elements.push(note);
-      } else {
+      }
+      if (d.stats.year) {
         const heading = document.createElement('p');
-        const loc = d.stats.level === 'city' && d.stats.city ? `${d.stats.city}, ${d.stats.state}` : d.stats.state;
+        const loc = d.stats.level === 'city' && d.stats.city ? `${d.stats.city}, ${d.stats.state}`
+          : d.stats.level === 'county' && d.stats.county ? `${d.stats.county}, ${d.stats.state}` : d.stats.state;
         heading.innerHTML = `<strong>FBI Crime Data (${loc} – ${d.stats.year})</strong>`;
-        if (d.stats.level === 'city' && d.stats.note) {
-          const note = document.createElement('p');
-          note.innerHTML = `<em>${d.stats.note}</em>`;
-          elements.push(note);
-        }
         elements.push(heading);
+        if (d.agency) elements.push(renderCrimeAgency(d.agency, d.stats.level));
         const table = document.createElement('table');
         table.className = 'crime-table';
         const rows = [
-          ['Violent Crime', d.stats.violent_crime, d.stats.violent_rate_per_100k],
-          ['  Homicide', d.stats.homicide, null],
-          ['  Robbery', d.stats.robbery, null],
-          ['  Aggravated Assault', d.stats.aggravated_assault, null],
-          ['Property Crime', d.stats.property_crime, d.stats.property_rate_per_100k],
-          ['  Burglary', d.stats.burglary, d.stats.burglary_rate_per_100k],
-            ['  Larceny', d.stats.larceny, d.stats.larceny_rate_per_100k],
-          ['  Motor Vehicle Theft', d.stats.motor_vehicle_theft, d.stats.motor_vehicle_theft_rate_per_100k],
-          ['Arson', d.stats.arson, d.stats.arson_rate_per_100k]
+          ['Violent Crime', 'violent_crime', d.stats.violent_rate_per_100k],
+          ['  Homicide', 'homicide', null],
+          ['  Robbery', 'robbery', null],
+          ['  Aggravated Assault', 'aggravated_assault', null],
+          ['Property Crime', 'property_crime', d.stats.property_rate_per_100k],
+          ['  Burglary', 'burglary', d.stats.burglary_rate_per_100k],
+          ['  Larceny', 'larceny', d.stats.larceny_rate_per_100k],
+          ['  Motor Vehicle Theft', 'motor_vehicle_theft', d.stats.motor_vehicle_theft_rate_per_100k],
+          ['Arson', 'arson', d.stats.arson_rate_per_100k]
         ];
+        const bench = d.benchmark?.offenses || {};
+        const hasBench = Object.keys(bench).length > 0;
+        const showVsState = Object.values(bench).some(b => b.vs_state !== null);
         table.innerHTML = `
-          <thead><tr><th>Offense</th><th>Count</th><th>Rate / 100k</th></tr></thead>
+          <thead><tr><th>Offense</th><th>Count</th><th>Rate / 100k</th>${hasBench ? `${showVsState ? '<th>vs State</th>' : ''}<th>vs US</th><th>Pctl</th>` : ''}</tr></thead>
           <tbody>
-            ${rows.filter(r => r[1] !== undefined && r[1] !== null).map(r => `
-              <tr>
+            ${rows.filter(r => d.stats[r[1]] !== undefined && d.stats[r[1]] !== null).map(r => {
+              const b = bench[r[1]];
+              const rate = r[2] ?? b?.local_rate ?? null;
+              const title = b ? `State ${b.state_rate ?? '—'} / US ${b.national_rate ?? '—'} per 100k` : '';
+              return `
+              <tr${title ? ` title="${title}"` : ''}>
                 <td>${r[0]}</td>
-                <td>${r[1] !== null && r[1] !== undefined ? r[1].toLocaleString() : '—'}</td>
-                <td>${r[2] !== null && r[2] !== undefined ? r[2] : '—'}</td>
-              </tr>`).join('')}
+                <td>${d.stats[r[1]].toLocaleString()}</td>
+                <td>${rate !== null ? rate : '—'}</td>
+                ${hasBench ? `${showVsState ? `<td>${benchmarkRatio(b?.vs_state)}</td>` : ''}<td>${benchmarkRatio(b?.vs_national)}</td><td>${b?.percentile ?? '—'}</td>` : ''}
+              </tr>`;
+            }).join('')}
           </tbody>`;
         elements.push(table);
+        if (hasBench) {
+          const y = d.benchmark.years;
+          const bnote = document.createElement('p');
+          bnote.className = 'crime-benchmark-note';
+          bnote.innerHTML = `<small>vs State / vs US: local rate ÷ ${y.state ? `${d.stats.state} ${y.state}` : 'state'} / US ${y.national || ''} estimate rate (green lower, red higher). Pctl: percentile among ${d.benchmark.percentile_basis || 'states'}.${d.benchmark.note ? ` ${d.benchmark.year_mismatch ? '<strong>Year mismatch:</strong> ' : ''}${d.benchmark.note}` : ''}</small>`;
+          elements.push(bnote);
+        }
         const src = document.createElement('p');
         src.className = 'data-source';
-        src.innerHTML = `<small>Source: FBI Crime Data Explorer (api.usa.gov) – State-level estimates. Rates computed per 100k population.</small>`;
+        src.innerHTML = `<small>Source: FBI Crime Data Explorer (api.usa.gov) – ${d.stats.level === 'state' ? 'state-level estimates' : 'agency-reported offenses'}. Rates computed per 100k population.</small>`;
         elements.push(src);
       }
     }
+    if (d.trend && typeof d.trend === 'object') elements.push(renderCrimeTrend(d.trend));
+    if (d.details) elements.push(renderCrimeDetails(d.details));
     return elements;
-  }, data.crime);
+  }, data.crime, {
+    key: 'crime',
+    // Detailed mode: NIBRS breakdowns fetched on demand (crime numbers themselves come from the cache)
+    addDetailsButton: !!data.crime.stats?.year && !data.crime.details,
+    onDetails: async ({ card, button }) => {
+      if (card.dataset.detailsLoaded) return;
+      button.disabled = true; const original = button.textContent; button.textContent = 'Loading...';
+      try {
+        const r = await fetch('/api/getPropertyDetails', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ address: data.address, sections: ['crime'], crime_details: true }) });
+        if (!r.ok) throw new Error(`Server error! Status: ${r.status}`);
+        const details = (await r.json()).crime?.details;
+        if (!details) throw new Error('No details returned');
+        card.appendChild(renderCrimeDetails(details, { open: true }));
+        card.dataset.detailsLoaded = '1';
+        button.textContent = 'Loaded ✓';
+        button.classList.add('mini-btn-done');
+      } catch (e) {
+        console.warn('Crime details fetch failed', e);
+        button.disabled = false; button.textContent = original;
+      }
+    }
+  });
 
   if (data.broadband) renderSection('Broadband', (d) => {
     const ul = document.createElement('ul');
@@ -324,7 +502,7 @@ const renderPropertyData = (container, data) => {
     const notes = document.createElement('p');
     notes.textContent = d.notes;
     return [ul, notes];
-  }, data.broadband);
+  }, data.broadband, { key: 'broadband' });
 
   if (data.environmental_risk) renderSection('Environmental Risk', (d) => {
     const ul = document.createElement('ul');
@@ -334,7 +512,7 @@ const renderPropertyData = (container, data) => {
       <li><strong>Heat Risk:</strong> ${d.heat_risk}</li>
       <li><strong>Air Quality:</strong> ${d.air_quality}</li>`;
     return [ul];
-  }, data.environmental_risk);
+  }, data.environmental_risk, { key: 'environmental_risk' });
 
   if (data.property_value) {
     renderSection('Surrounding Area Values', (d) => {
@@ -357,7 +535,7 @@ const renderPropertyData = (container, data) => {
             if(!r.ok) throw new Error('Region fetch failed');
             const regionData = await r.json();
             // Merge minimal regionData into original d then re-render only this card (simple approach: re-run entire renderPropertyData)
-            const currentFull = { ...data, property_value: { ...data.property_value, ...regionData, region_options: d.region_options } };
+            const currentFull = { ...data, property_value: { ...data.property_value, ...regionData, market_heat: regionData.market_heat || null, region_options: d.region_options } };
             renderPropertyData(container, currentFull);
           } catch(e){ console.error(e); select.style.borderColor='red'; }
           finally { select.disabled=false; }
@@ -368,7 +546,8 @@ const renderPropertyData = (container, data) => {
       }
       addStat('Latest Data', d.latest_month || '—');
       addStat('Level', d.type ? d.type.toUpperCase() : '—');
-      if (d.distance_miles) addStat('Distance to Metro', `${d.distance_miles} mi`);
+      if (d.metro_relation === 'inside') addStat('Metro', d.distance_miles ? `Inside (${d.distance_miles} mi from center)` : 'Inside');
+      else if (d.distance_miles) addStat('Distance to Metro', `${d.distance_miles} mi (outside)`);
       // Derive latest PPSF value (use explicit value or last non-null in series)
       if (d.price_per_sqft) {
         let ppsfVal = d.price_per_sqft.value;
@@ -380,14 +559,34 @@ const renderPropertyData = (container, data) => {
           addStat('Price / SqFt', '$'+ppsfVal.toLocaleString(undefined,{maximumFractionDigits:0}));
         }
       }
+      // Market heat: label + index value (0-100, 50 = balanced)
+      if (d.market_heat && d.market_heat.value !== undefined && d.market_heat.value !== null) {
+        const heat = d.market_heat;
+        const label = heat.label ? heat.label.charAt(0).toUpperCase() + heat.label.slice(1) + (heat.label === 'neutral' ? '' : ' market') : '—';
+        addStat('Market Heat', `${label} (${Math.round(heat.value)})`);
+      }
+      // Trend analytics (server-computed from the full monthly series)
+      const t = d.trends;
+      if (t) {
+        const fmtPct = (v) => (v === null || v === undefined ? '—' : `${v > 0 ? '+' : ''}${v.toFixed(1)}%`);
+        addStat('Month / Month', fmtPct(t.mom_pct));
+        addStat('Year / Year', fmtPct(t.yoy_pct));
+        addStat('3Y CAGR', fmtPct(t.cagr_3y_pct));
+        addStat('5Y CAGR', fmtPct(t.cagr_5y_pct));
+        addStat('From Peak', t.drawdown_pct ? `${fmtPct(t.drawdown_pct)} (${t.peak.month})` : 'At peak');
+        addStat('Volatility (ann.)', t.volatility_pct === null ? '—' : `${t.volatility_pct.toFixed(1)}%`);
+      }
       const chartDiv = document.createElement('div'); chartDiv.id = 'propertyValueChart'; chartDiv.className='pv-chart';
-      // Chart mode toggle if PPSF present
+      // Chart mode toggle if PPSF and/or market heat present
       let chartMode = 'value';
       let modeToggle = null;
-      if (d.price_per_sqft && d.price_per_sqft.series) {
+      const modes = [['value','Median Value']];
+      if (d.price_per_sqft && d.price_per_sqft.series) modes.push(['ppsf','Price / SqFt']);
+      if (d.market_heat && d.market_heat.series) modes.push(['heat','Market Heat']);
+      if (modes.length > 1) {
         modeToggle = document.createElement('div');
         modeToggle.className='pv-mode-toggle';
-        ['value','ppsf'].forEach(m=>{ const btn=document.createElement('button'); btn.type='button'; btn.textContent= m==='value' ? 'Median Value' : 'Price / SqFt'; if(m===chartMode) btn.classList.add('active'); btn.addEventListener('click',()=>{ if(chartMode===m) return; chartMode=m; Array.from(modeToggle.children).forEach(c=>c.classList.remove('active')); btn.classList.add('active'); renderChart(); }); modeToggle.appendChild(btn); });
+        modes.forEach(([m, text])=>{ const btn=document.createElement('button'); btn.type='button'; btn.textContent=text; if(m===chartMode) btn.classList.add('active'); btn.addEventListener('click',()=>{ if(chartMode===m) return; chartMode=m; Array.from(modeToggle.children).forEach(c=>c.classList.remove('active')); btn.classList.add('active'); renderChart(); }); modeToggle.appendChild(btn); });
         card.appendChild(modeToggle);
       }
       const footer = document.createElement('div'); footer.className='pv-footer';
@@ -405,15 +604,23 @@ const renderPropertyData = (container, data) => {
       // Build yearly series for chart
       function renderChart() {
         if (!(d.yearly && d.yearly.length > 1 && window.ApexCharts)) return;
-        let categories, values, label;
+        let categories, values, label, trendValues = null;
         if (chartMode==='ppsf' && d.price_per_sqft && d.price_per_sqft.series) {
           const series = d.price_per_sqft.series;
           categories = series.map(p=>p.ym);
           values = series.map(p=>p.value);
           label = 'Price / SqFt';
+        } else if (chartMode==='heat' && d.market_heat && d.market_heat.series) {
+          const series = d.market_heat.series;
+          categories = series.map(p=>p.ym);
+          values = series.map(p=>p.value);
+          label = 'Market Heat';
         } else {
           const useMonthly = d.series && d.series.length > 2;
-          if (useMonthly) { categories = d.series.map(p=>p.ym); values = d.series.map(p=>p.value); }
+          if (useMonthly) {
+            categories = d.series.map(p=>p.ym); values = d.series.map(p=>p.value);
+            if (d.trends && Array.isArray(d.trends.seasonally_adjusted)) { const sa = new Map(d.trends.seasonally_adjusted.map(p=>[p.ym,p.value])); trendValues = categories.map(ym=>sa.has(ym) ? sa.get(ym) : null); }
+          }
           else { categories = d.yearly.map(r=>r.year); values = d.yearly.map(r=>r.zhvi); }
           label = 'Median Value';
         }
@@ -424,21 +631,26 @@ const renderPropertyData = (container, data) => {
           const yMax = Math.max(100, Math.ceil(maxVal/100)*100);
           const tickCount = Math.min(10, Math.ceil(yMax/100));
           yaxis = { min:0, max:yMax, tickAmount: tickCount, labels:{ style:{ colors:'#94a3b8', fontSize:'11px' }, formatter:(v)=>'$'+v } };
+        } else if (chartMode==='heat') {
+          // Index is 0-100; 50 is a balanced market
+          yaxis = { min:0, max:100, tickAmount:4, labels:{ style:{ colors:'#94a3b8', fontSize:'11px' }, formatter:(v)=>Math.round(v) } };
         } else {
           yaxis = { labels:{ style:{ colors:'#94a3b8', fontSize:'11px' }, formatter:(v)=>{ if(v===0) return '$0'; return '$'+(v>=1_000_000?(v/1_000_000).toFixed(1)+'M':(v/1000).toFixed(0)+'K'); } } };
         }
         const options = {
-          series:[{ name: label, data: values }],
+          series: trendValues ? [{ name: label, type:'area', data: values }, { name:'Seasonally Adjusted', type:'line', data: trendValues }] : [{ name: label, data: values }],
           chart:{ type:'area', height:260, toolbar:{show:false}, zoom:{enabled:false}, animations:{enabled:true}, foreColor:'#9ca3af' },
-          stroke:{ curve:'smooth', width:2.2 },
+          stroke:{ curve:'smooth', width: trendValues ? [2.2, 1.6] : 2.2, dashArray: trendValues ? [0, 4] : 0 },
           dataLabels:{ enabled:false },
           xaxis:{ type:'category', categories, tickAmount: Math.min(10, Math.max(4, Math.floor(categories.length/4))), labels:{ rotate:0, style:{ colors:'#94a3b8', fontSize:'11px' }, formatter:(val)=>{ if(val===undefined||val===null) return ''; const s=val.toString(); if(/^\d{4}-\d{2}$/.test(s)) return s.slice(0,4); if(/^\d{4}$/.test(s)) return s; const m = s.match(/(19|20)\d{2}/); return m?m[0]:s; } }, axisBorder:{show:false}, axisTicks:{show:false} },
           yaxis,
           grid:{ borderColor:'#374151', strokeDashArray:4 },
-          tooltip:{ theme:'dark', x:{ show:false }, marker:{ show:true }, y:{ formatter:(val)=>'$'+val.toLocaleString() } },
+          tooltip:{ theme:'dark', x:{ show:false }, marker:{ show:true }, y:{ formatter:(val)=> val===null||val===undefined ? '—' : chartMode==='heat' ? Math.round(val) : '$'+Math.round(val).toLocaleString() } },
+          annotations: chartMode==='heat' ? { yaxis:[{ y:50, borderColor:'#9ca3af', strokeDashArray:3, label:{ text:'Neutral', style:{ color:'#111827', background:'#9ca3af' } } }] } : {},
           fill:{ type:'gradient', gradient:{ shadeIntensity:1, opacityFrom:0.25, opacityTo:0.05, stops:[0,100] } },
           markers:{ size:0, hover:{size:5} },
-          colors:['#22c55e']
+          colors:['#22c55e', '#60a5fa'],
+          legend:{ show: !!trendValues, labels:{ colors:'#94a3b8' } }
         };
         chartDiv.innerHTML='';
         try { const chart=new ApexCharts(chartDiv, options); chart.render(); } catch(e){ console.warn('ApexCharts render failed', e); }
@@ -449,10 +661,315 @@ const renderPropertyData = (container, data) => {
       }
       if (d.note) { const note=document.createElement('div'); note.className='pv-tooltip-inline'; note.textContent=d.note; card.appendChild(note); }
       return [card];
-    }, data.property_value);
+    }, data.property_value, { key: 'property_value' });
   }
+
+  renderSection('Size-Based Estimate', (d) => {
+    if (d.estimate === undefined) { const p = document.createElement('p'); p.textContent = d.note || 'No estimate available.'; return [p]; }
+    const c = d.components || {};
+    const hero = document.createElement('div'); hero.className = 'pv-hero';
+    hero.innerHTML = `<div class="pv-value">${formatMoney(d.estimate)}</div><div class="pv-label">${formatMoney(d.low)} – ${formatMoney(d.high)} (±${d.band_pct}%)</div>`;
+    const stats = document.createElement('div'); stats.className = 'pv-stats';
+    [
+      ['Square Feet', d.inputs.sqft.toLocaleString()],
+      ['Beds', d.inputs.beds ?? '—'],
+      ['Year Built', d.inputs.year_built ?? '—'],
+      ['Metro $/SqFt', c.metro_ppsf ? formatMoney(c.metro_ppsf) : '—'],
+      ['ZIP / Metro ZHVI', c.zip_zhvi ? `×${c.zip_to_metro_ratio}` : '—'],
+      ['Age Factor', `×${c.age_factor}`],
+      ['Adjusted $/SqFt', c.adjusted_ppsf ? formatMoney(c.adjusted_ppsf) : '—']
+    ].forEach(([label, value]) => {
+      const s = document.createElement('div'); s.className = 'pv-stat';
+      s.innerHTML = `<div class="label">${label}</div><div class="value">${value}</div>`;
+      stats.appendChild(s);
+    });
+    const method = document.createElement('div'); method.className = 'pv-tooltip-inline';
+    method.textContent = `${d.method_description}${c.metro_key ? ` Metro: ${c.metro_key}${c.ppsf_month ? ` (${c.ppsf_month})` : ''}.` : ''}`;
+    const out = [hero, stats, method];
+    (d.notes || []).forEach(n => { const el = document.createElement('div'); el.className = 'pv-tooltip-inline'; el.textContent = n; out.push(el); });
+    return out;
+  }, data.value_estimate, { key: 'value_estimate' });
+
+  // Affordability calculator (client card driven by /api/affordability; follows the property value card)
+  if (data.property_value && data.property_value.zhvi !== undefined && shouldRender('property_value')) {
+    const { card } = createCard('Affordability');
+    card.appendChild(createAffordabilityForm(data.address, data.property_value));
+    placeCard('affordability', card);
+  }
+
+  // Sections that failed server-side replace their slot with an error state (the rest of the report still renders)
+  Object.entries(errors).forEach(([key, message]) => {
+    if (SECTION_TITLES[key] && !data[key] && shouldRender(key)) placeCard(key, createStatusCard(key, `Unavailable: ${message}`, true));
+  });
 };
 
+// --- Affordability ---
+
+// Form fields: [name, label, default, step]. Defaults mirror the server's.
+const AFFORDABILITY_FIELDS = [
+  ['down_payment_pct', 'Down Payment %', 20, '0.5'],
+  ['rate_pct', 'Interest Rate %', 6.75, '0.05'],
+  ['term_years', 'Term (years)', 30, '1'],
+  ['tax_rate_pct', 'Property Tax %/yr', 1.1, '0.05'],
+  ['insurance_annual', 'Insurance $/yr', 1500, '50'],
+  ['other_debts_monthly', 'Other Debts $/mo', 0, '50']
+];
+
+/**
+ * Builds the affordability form + result area for a matched property value block.
+ * @param {string} address - Report address (used when the region hasn't been switched).
+ * @param {object} pv - property_value section.
+ * @returns {HTMLDivElement}
+ */
+function createAffordabilityForm(address, pv) {
+  const wrap = document.createElement('div');
+  wrap.className = 'afford';
+  const form = document.createElement('form');
+  form.className = 'afford-form';
+  const basisOptions = [['zhvi', `Area median (${formatMoney(pv.zhvi)})`], ['price', 'Price']];
+  if (pv.price_per_sqft && pv.price_per_sqft.value) basisOptions.push(['sqft', `Sq ft × $${Math.round(pv.price_per_sqft.value)}/sqft`]);
+  form.innerHTML = `
+    <label>Based on<select name="basis">${basisOptions.map(([v, t]) => `<option value="${v}">${t}</option>`).join('')}</select></label>
+    <label class="afford-amount" hidden><span>Amount</span><input name="amount" type="number" min="1" step="1"></label>
+    ${AFFORDABILITY_FIELDS.map(([name, label, def, step]) => `<label>${label}<input name="${name}" type="number" min="0" step="${step}" value="${def}"></label>`).join('')}
+    <button type="submit">Calculate</button>`;
+  const result = document.createElement('div');
+  result.className = 'afford-result';
+  const field = (name) => form.elements.namedItem(name);
+  const amountLabel = form.querySelector('.afford-amount');
+  field('basis').addEventListener('change', () => {
+    amountLabel.hidden = field('basis').value === 'zhvi';
+    amountLabel.querySelector('span').textContent = field('basis').value === 'sqft' ? 'Square Feet' : 'Price';
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = Object.fromEntries(AFFORDABILITY_FIELDS.map(([name]) => [name, field(name).value]));
+    // Metro matches (including a switched region) are looked up by region, ZIP matches by address
+    if (pv.type === 'msa' && pv.region) body.region = pv.region; else body.address = address;
+    const basis = field('basis').value;
+    if (basis !== 'zhvi') body[basis] = field('amount').value;
+    const button = form.querySelector('button');
+    button.disabled = true;
+    try {
+      const r = await fetch('/api/affordability', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || `Server error! Status: ${r.status}`);
+      renderAffordability(result, j);
+    } catch (err) {
+      result.innerHTML = '';
+      const p = document.createElement('p'); p.className = 'section-error'; p.textContent = err.message; result.appendChild(p);
+    } finally {
+      button.disabled = false;
+    }
+  });
+  wrap.appendChild(form);
+  wrap.appendChild(result);
+  return wrap;
+}
+
+/**
+ * Renders an /api/affordability response: monthly cost tiles, income needed, and the what-if table.
+ * @param {HTMLElement} el
+ * @param {object} a - Response JSON.
+ */
+function renderAffordability(el, a) {
+  const m = a.monthly;
+  const inc = a.income_needed;
+  const rows = (a.what_if || []).slice(-10).reverse();
+  el.innerHTML = `
+    <div class="pv-stats">
+      ${[['Price', a.price], ['Down Payment', a.down_payment], ['Loan', a.loan_amount], ['Principal & Interest', m.principal_interest], ['Property Tax', m.property_tax], ['Insurance', m.insurance], ['PITI / month', m.piti]]
+        .map(([label, v]) => `<div class="pv-stat"><div class="label">${label}</div><div class="value">${formatMoney(v)}</div></div>`).join('')}
+    </div>
+    <table class="narrow-table">
+      <thead><tr><th>Debt-to-Income Guideline</th><th>Gross Income Needed</th></tr></thead>
+      <tbody>
+        <tr><td>28% housing (front-end)</td><td>${formatMoney(inc.front_end_28)}/yr</td></tr>
+        <tr><td>36% all debts (back-end)</td><td>${formatMoney(inc.back_end_36)}/yr</td></tr>
+        <tr><td>43% all debts (max qualified mortgage)</td><td>${formatMoney(inc.max_qm_43)}/yr</td></tr>
+      </tbody>
+    </table>
+    ${rows.length ? `<h3>What if: same terms in past years</h3>
+    <table class="narrow-table">
+      <thead><tr><th>Year</th><th>Price</th><th>PITI / month</th><th>Income (28%)</th></tr></thead>
+      <tbody>${rows.map(r => `<tr><td>${r.year}</td><td>${formatMoney(r.price)}</td><td>${formatMoney(r.piti)}</td><td>${formatMoney(r.income_needed_28)}</td></tr>`).join('')}</tbody>
+    </table>` : ''}
+    <div class="pv-tooltip-inline">${a.note || ''}</div>`;
+}
+
+// --- Compare mode ---
+
+const formatMoney = (v) => '$' + Math.round(v).toLocaleString();
+const formatSchool = (level) => (v, r) => `${r.schools[level].name} (${v} mi)`;
+
+// Rows of the compare table. `better` picks which end is highlighted as best ('low' or 'high'); rows without it aren't ranked.
+// Home values are left unranked: a cheaper home isn't a better one, so only rows with a clear direction get colour cues.
+const COMPARE_ROWS = [
+  { group: 'Home Values' },
+  { label: 'Median Home Value (ZHVI)', get: r => r.property_value?.zhvi, format: formatMoney },
+  { label: 'Price / SqFt', get: r => r.property_value?.price_per_sqft?.value, format: formatMoney },
+  { label: 'Region', get: r => r.property_value?.region },
+  { group: 'Crime (rate / 100k)' },
+  { label: 'Violent Crime', get: r => r.crime?.stats?.violent_rate_per_100k, better: 'low' },
+  { label: 'Property Crime', get: r => r.crime?.stats?.property_rate_per_100k, better: 'low' },
+  { label: 'Burglary', get: r => r.crime?.stats?.burglary_rate_per_100k, better: 'low' },
+  { label: 'Motor Vehicle Theft', get: r => r.crime?.stats?.motor_vehicle_theft_rate_per_100k, better: 'low' },
+  { label: 'Data', get: r => (r.crime?.stats?.year ? `${r.crime.stats.level} – ${r.crime.stats.year}` : null) },
+  { group: 'Amenity Scores' },
+  { label: 'Walk Score', get: r => r.amenities_access?.walk_score, better: 'high' },
+  { label: 'Transit Score', get: r => r.amenities_access?.transit_score, better: 'high' },
+  { label: 'Bike Score', get: r => r.amenities_access?.bike_score, better: 'high' },
+  { group: 'Schools (distance)' },
+  { label: 'Elementary', get: r => r.schools?.elementary?.distance_mi, better: 'low', format: formatSchool('elementary') },
+  { label: 'Middle', get: r => r.schools?.middle?.distance_mi, better: 'low', format: formatSchool('middle') },
+  { label: 'High', get: r => r.schools?.high?.distance_mi, better: 'low', format: formatSchool('high') }
+];
+
+/**
+ * Renders an ApexCharts line chart with one series per compared address, aligned on month.
+ * @param {HTMLElement} el - Chart container.
+ * @param {Array<{name: string, points: Array<{ym: string, value: number}>}>} lines
+ * @param {(v: number) => string} formatter - Y axis / tooltip formatter.
+ */
+const renderOverlayChart = (el, lines, formatter) => {
+  if (!window.ApexCharts) return;
+  const categories = Array.from(new Set(lines.flatMap(l => l.points.map(p => p.ym)))).sort();
+  const series = lines.map(l => {
+    const byYm = new Map(l.points.map(p => [p.ym, p.value]));
+    return { name: l.name, data: categories.map(ym => byYm.get(ym) ?? null) };
+  });
+  const options = {
+    series,
+    chart: { type: 'line', height: 260, toolbar: { show: false }, zoom: { enabled: false }, foreColor: '#9ca3af' },
+    stroke: { curve: 'smooth', width: 2 },
+    dataLabels: { enabled: false },
+    xaxis: { type: 'category', categories, tickAmount: Math.min(10, categories.length), labels: { rotate: 0, style: { colors: '#94a3b8', fontSize: '11px' }, formatter: (val) => (val ? String(val).slice(0, 4) : '') }, axisBorder: { show: false }, axisTicks: { show: false } },
+    yaxis: { labels: { style: { colors: '#94a3b8', fontSize: '11px' }, formatter } },
+    grid: { borderColor: '#374151', strokeDashArray: 4 },
+    legend: { labels: { colors: '#d1d5db' } },
+    tooltip: { theme: 'dark', y: { formatter } },
+    colors: ['#22c55e', '#38bdf8', '#f59e0b', '#e879f9']
+  };
+  try { new ApexCharts(el, options).render(); } catch (e) { console.warn('ApexCharts render failed', e); }
+};
+
+/**
+ * Renders the compare view: one column per address, best/worst value highlighted per row,
+ * plus overlaid ZHVI and price-per-sqft charts.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {{reports: Array<{address: string, report?: object, error?: string}>}} resp - /api/compare response.
+ */
+const renderComparison = (container, resp) => {
+  container.innerHTML = '';
+  const entries = resp.reports || [];
+  const { card } = createCard('Comparison');
+
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th'));
+  entries.forEach(e => {
+    const th = document.createElement('th');
+    th.textContent = e.address;
+    if (e.error) th.title = e.error;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  let groupRow = null; // appended lazily so groups without any data rows are skipped
+  COMPARE_ROWS.forEach(row => {
+    const tr = document.createElement('tr');
+    if (row.group) {
+      tr.className = 'group-row';
+      const td = document.createElement('td');
+      td.colSpan = entries.length + 1;
+      td.textContent = row.group;
+      tr.appendChild(td);
+      groupRow = tr;
+      return;
+    }
+    const values = entries.map(e => (e.report ? row.get(e.report) : undefined));
+    if (values.every(v => v === undefined || v === null)) return;
+    if (groupRow) { tbody.appendChild(groupRow); groupRow = null; }
+    const numeric = values.filter(v => typeof v === 'number');
+    let best = null; let worst = null;
+    if (row.better && numeric.length >= 2) {
+      const lo = Math.min(...numeric); const hi = Math.max(...numeric);
+      if (lo !== hi) { best = row.better === 'low' ? lo : hi; worst = row.better === 'low' ? hi : lo; }
+    }
+    const label = document.createElement('td');
+    label.className = 'row-label';
+    label.textContent = row.label;
+    tr.appendChild(label);
+    values.forEach((v, i) => {
+      const td = document.createElement('td');
+      td.textContent = v === undefined || v === null ? '—' : (row.format ? row.format(v, entries[i].report) : (typeof v === 'number' ? v.toLocaleString() : v));
+      if (v === best) td.classList.add('cmp-best');
+      else if (v === worst) td.classList.add('cmp-worst');
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  card.appendChild(table);
+
+  const failed = entries.filter(e => e.error);
+  if (failed.length) {
+    const note = document.createElement('p');
+    note.className = 'error-message';
+    note.textContent = failed.map(e => `${e.address}: ${e.error}`).join(' | ');
+    card.appendChild(note);
+  }
+
+  // Overlaid trend charts
+  const charts = [
+    { title: 'Median Home Value (ZHVI)', points: r => r.property_value?.series, formatter: (v) => (v === null || v === undefined ? '' : '$' + (v >= 1_000_000 ? (v / 1_000_000).toFixed(1) + 'M' : (v / 1000).toFixed(0) + 'K')) },
+    { title: 'Price / SqFt', points: r => r.property_value?.price_per_sqft?.series, formatter: (v) => (v === null || v === undefined ? '' : '$' + Math.round(v)) }
+  ];
+  container.appendChild(card);
+  charts.forEach(c => {
+    const lines = entries
+      .filter(e => e.report && Array.isArray(c.points(e.report)) && c.points(e.report).length)
+      .map(e => ({ name: e.address, points: c.points(e.report) }));
+    if (!lines.length) return;
+    const heading = document.createElement('h3');
+    heading.textContent = c.title;
+    const chartDiv = document.createElement('div');
+    chartDiv.className = 'compare-chart';
+    card.appendChild(heading);
+    card.appendChild(chartDiv);
+    setTimeout(() => renderOverlayChart(chartDiv, lines, c.formatter), 0);
+  });
+};
+
+/**
+ * Streams a property report over Server-Sent Events, calling back as each section arrives.
+ * @param {string} address - Address to look up.
+ * @param {string[]} sections - Requested section keys (empty = full report).
+ * @param {object} handlers
+ * @param {(section: string, data: object) => void} handlers.onSection
+ * @param {(section: string, error: string) => void} handlers.onSectionError
+ * @param {number} [timeoutMs=90000] - Give up if the stream hasn't finished by then.
+ * @returns {Promise<object>} Resolves with the summary event payload.
+ */
+const streamPropertyDetails = (address, sections, handlers, { timeoutMs = 90000, attributes = null } = {}) => new Promise((resolve, reject) => {
+  const params = new URLSearchParams({ address });
+  if (sections.length) params.set('sections', sections.join(','));
+  Object.entries(attributes || {}).forEach(([k, v]) => params.set(k, v));
+  const source = new EventSource(`/api/getPropertyDetails/stream?${params.toString()}`);
+  const finish = (fn, value) => { clearTimeout(timer); source.close(); fn(value); };
+  const timer = setTimeout(() => finish(reject, new Error('Request timed out. Please try again.')), timeoutMs);
+  source.addEventListener('section', (e) => { const { section, data } = JSON.parse(e.data); handlers.onSection(section, data); });
+  source.addEventListener('section_error', (e) => { const { section, error } = JSON.parse(e.data); handlers.onSectionError(section, error); });
+  source.addEventListener('summary', (e) => finish(resolve, JSON.parse(e.data)));
+  source.addEventListener('failed', (e) => finish(reject, new Error(JSON.parse(e.data).error)));
+  // Native connection error (server down, 4xx/5xx before streaming); EventSource would otherwise keep reconnecting
+  source.onerror = () => finish(reject, new Error('Connection to server lost.'));
+});
+
 /**
  * Main function to set up event listeners.
  */
@@ -461,8 +978,46 @@ const main = () => {
   const input = document.getElementById('address-input');
   const button = form.querySelector('button');
   const container = document.getElementById('property-list');
+  const compareForm = document.getElementById('compare-form');
+  const compareToggle = document.getElementById('compare-toggle');
   // Google Places details now always available; no toggle checkbox.
 
+  compareToggle.addEventListener('click', () => {
+    compareForm.hidden = !compareForm.hidden;
+    compareToggle.classList.toggle('active', !compareForm.hidden);
+    if (!compareForm.hidden && input.value.trim()) compareForm.querySelector('input').value = input.value.trim();
+  });
+
+  compareForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const addresses = Array.from(compareForm.querySelectorAll('input[name="compare-address"]')).map(i => i.value.trim()).filter(Boolean);
+    const compareButton = compareForm.querySelector('button[type="submit"]');
+    compareButton.disabled = true;
+    compareButton.textContent = 'Comparing...';
+    container.innerHTML = '<p>Loading comparison...</p>';
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 90000);
+    try {
+      const response = await fetch('/api/compare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ addresses }),
+        signal: controller.signal,
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || `Server error! Status: ${response.status}`);
+      renderComparison(container, body);
+    } catch (error) {
+      const aborted = error.name === 'AbortError';
+      container.innerHTML = `<div style="color: red;"><strong>Failed to compare addresses:</strong><br>${aborted ? 'Request timed out. Please try again.' : error.message}</div>`;
+      console.error('Compare error:', error);
+    } finally {
+      clearTimeout(timeout);
+      compareButton.disabled = false;
+      compareButton.textContent = 'Compare';
+    }
+  });
+
   form.addEventListener('submit', async (event) => {
     event.preventDefault(); // Prevent the form from reloading the page
     const address = input.value.trim();
@@ -470,43 +1025,53 @@ const main = () => {
 
     // Collect selected section checkboxes
     const selected = Array.from(form.querySelectorAll('input[name="sections"]:checked')).map(c=>c.value);
+    // Optional home details (the server adds value_estimate next to property_value when sq ft is given)
+    const attributes = Object.fromEntries(['sqft', 'beds', 'year_built']
+      .map(name => [name, form.querySelector(`input[name="${name}"]`).value.trim()])
+      .filter(([, v]) => v));
+    const wantsEstimate = !!attributes.sqft && (!selected.length || selected.includes('property_value'));
 
     // Disable the button and show a loading state
     button.disabled = true;
     button.textContent = 'Loading...';
 
-    container.innerHTML = '<p>Loading property details...</p>';
+    // One placeholder card per expected section; each is replaced as its event arrives
+    const pending = new Set((selected.length ? selected.filter(k => SECTION_TITLES[k]) : Object.keys(SECTION_TITLES)).filter(k => k !== 'value_estimate'));
+    if (wantsEstimate) pending.add('value_estimate');
+    const data = { address, _errors: {} };
+    renderPropertyData(container, data, { pending: Array.from(pending) });
 
     try {
-      // Call our new backend server
-      // Timeout handling
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 30000); // 30s timeout
-      let response;
-      try {
-  response = await fetch('/api/getPropertyDetails', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ address: address, sections: selected }),
-          signal: controller.signal,
-        });
-      } finally {
-        clearTimeout(timeout);
-      }
-
-      if (!response.ok) {
-        throw new Error(`Server error! Status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      renderPropertyData(container, data);
-
+      await streamPropertyDetails(address, selected, {
+        onSection: (section, sectionData) => {
+          if (!SECTION_TITLES[section]) return;
+          // Crime arrives in two parts (AI narrative + FBI numbers)
+          data[section] = section === 'crime' ? { ...(data.crime || {}), ...sectionData } : sectionData;
+          pending.delete(section);
+          renderPropertyData(container, data, { only: [section] });
+        },
+        onSectionError: (section, error) => {
+          data._errors[section] = error;
+          pending.delete(section);
+          renderPropertyData(container, data, { only: [section] });
+        }
+      }, { attributes });
+      // Anything the server never sent has no data for this address
+      pending.forEach(section => {
+        const slot = container.querySelector(`[data-section="${section}"]`);
+        if (!slot) return;
+        const card = createStatusCard(section, 'No data available.');
+        card.dataset.section = section;
+        slot.replaceWith(card);
+      });
     } catch (error) {
-  const aborted = error.name === 'AbortError';
-  container.innerHTML = `<div style="color: red;"><strong>Failed to load property details:</strong><br>${aborted ? 'Request timed out. Please try again.' : error.message}</div>`;
-      console.error('Fetch error:', error);
+      // Keep sections that already arrived; mark the rest as failed
+      pending.forEach(section => { data._errors[section] = error.message; });
+      renderPropertyData(container, data, { only: Array.from(pending) });
+      if (!container.querySelector('[data-section]')) {
+        container.innerHTML = `<div style="color: red;"><strong>Failed to load property details:</strong><br>${error.message}</div>`;
+      }
+      console.error('Stream error:', error);
     } finally {
       // Re-enable the button and restore its text when the operation is complete
       button.disabled = false;
@@ -0,0 +1,85 @@
+// Crime rate benchmarks: the local (agency or state) rate per 100k for each offense against the state and national
+// FBI estimates, as ratios, a percentile among the per-state rates (50 states + DC) and a rating the UI colors.
+// Levels are compared for the same year when every level has it; otherwise each level uses its latest year at or
+// before the local year (the national estimates are often published later than agency data) and the mismatch is
+// flagged rather than hidden.
+
+// Ratio to the reference rate -> rating (upper bounds, checked in order)
+const BENCHMARK_RATINGS = [[0.75, 'well_below'], [0.9, 'below'], [1.1, 'similar'], [1.5, 'above'], [Infinity, 'well_above']];
+
+const per100k = (row, field) => (row && row.population && Number.isFinite(row[field]) ? (row[field] / row.population) * 100000 : null);
+const round = (v, d) => (v === null ? null : +v.toFixed(d));
+
+// The requested year if present, else the latest earlier year (null when there is none)
+function pickYear(byYear, year) {
+  const ys = Object.keys(byYear || {}).map(Number).filter(y => byYear[y]?.population && y <= year).sort((a, b) => a - b);
+  return ys.length ? ys[ys.length - 1] : null;
+}
+
+function rating(ratio) {
+  if (ratio === null) return null;
+  return BENCHMARK_RATINGS.find(([max]) => ratio < max)[1];
+}
+
+/**
+ * @param {object} input
+ * @param {{level:string, year:number, row:object}} input.local Headline row (counts + population) of crime.stats
+ * @param {string} input.state State abbreviation
+ * @param {Object<number,object>} input.stateByYear State estimate rows by year
+ * @param {Object<number,object>} input.nationalByYear National estimate rows by year
+ * @param {Object<number,object>[]} [input.peers] Estimate rows by year for every state + DC (percentile basis)
+ * @param {Object<string,string>} input.offenses field -> label
+ * @returns {{years:{local:number, state:number|null, national:number|null}, year_mismatch:boolean, note:string|undefined,
+ *   percentile_basis:string|null, offenses:Object<string,{label:string, local_rate:number|null, state_rate:number|null,
+ *   national_rate:number|null, vs_state:number|null, vs_national:number|null, percentile:number|null, rating:string|null}>}}
+ */
+function computeCrimeBenchmark({ local, state, stateByYear, nationalByYear, peers, offenses }) {
+  const stateYear = local.level === 'state' ? local.year : pickYear(stateByYear, local.year);
+  const nationalYear = pickYear(nationalByYear, local.year);
+  const stateRow = local.level === 'state' ? local.row : stateByYear?.[stateYear];
+  const nationalRow = nationalByYear?.[nationalYear];
+  const peerRows = (peers || []).map(byYear => byYear?.[pickYear(byYear, local.year)]).filter(Boolean);
+  const peerYears = new Set(peerRows.map(r => r.year).filter(Number.isFinite));
+
+  const out = {};
+  for (const [field, label] of Object.entries(offenses)) {
+    const localRate = per100k(local.row, field);
+    const stateRate = per100k(stateRow, field);
+    const nationalRate = per100k(nationalRow, field);
+    if (localRate === null || (stateRate === null && nationalRate === null)) continue;
+    const ratio = (ref) => (ref ? round(localRate / ref, 2) : null);
+    // Share of state rates below the local one (ties count half)
+    const peerRates = peerRows.map(r => per100k(r, field)).filter(v => v !== null);
+    const below = peerRates.filter(v => v < localRate).length;
+    const equal = peerRates.filter(v => v === localRate).length;
+    const vsState = local.level === 'state' ? null : ratio(stateRate);
+    const vsNational = ratio(nationalRate);
+    out[field] = {
+      label,
+      local_rate: round(localRate, 1),
+      state_rate: round(stateRate, 1),
+      national_rate: round(nationalRate, 1),
+      vs_state: vsState,
+      vs_national: vsNational,
+      percentile: peerRates.length >= 10 ? Math.round((100 * (below + equal / 2)) / peerRates.length) : null,
+      rating: rating(vsNational ?? vsState)
+    };
+  }
+
+  const mismatched = [[`${state} estimates`, stateYear], ['national estimates', nationalYear]]
+    .filter(([, y]) => y !== null && y !== local.year);
+  const missing = [[`${state} estimates`, stateYear], ['national estimates', nationalYear]].filter(([, y]) => y === null);
+  const note = [
+    mismatched.length ? `${local.year} ${mismatched.map(([n]) => n).join(' and ')} not available; compared with ${mismatched.map(([n, y]) => `${y} ${n}`).join(' and ')}.` : null,
+    missing.length ? `No ${missing.map(([n]) => n).join(' or ')} to compare with.` : null
+  ].filter(Boolean).join(' ') || undefined;
+  return {
+    years: { local: local.year, state: stateYear, national: nationalYear },
+    year_mismatch: mismatched.length > 0,
+    note,
+    percentile_basis: peerRows.length >= 10 ? `states and DC (${peerRows.length}${peerYears.size === 1 ? `, ${[...peerYears][0]}` : ''})` : null,
+    offenses: out
+  };
+}
+
+module.exports = { computeCrimeBenchmark, BENCHMARK_RATINGS };
@@ -0,0 +1,101 @@
+// Regenerates data/metro_centroids.csv: one row per Zillow metro RegionName ("Seattle, WA") so the metro index can
+// answer every address offline.
+//   lat, lng      the principal city (GeoNames, via all-the-cities)
+//   radius_miles  equal-area radius of the CBSA the principal city lies in (2010 Census county layer, via us-counties:
+//                 counties carry their CBSA code and land area); the containing county alone when it has no CBSA
+// Usage: npm run build:metros [-- <Zillow metro CSV> ...]   (default: every data/Metro_*.csv and the PPSF download)
+// Needs the dev dependencies and ~2 GB of memory (the county file is 170 MB of GeoJSON).
+const fs = require('fs');
+const path = require('path');
+const { readCsvRows } = require('./csv');
+const { inPolygons } = require('./metros');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const OUT_FILE = path.join(DATA_DIR, 'metro_centroids.csv');
+const SQ_METERS_PER_SQ_MILE = 2589988.11;
+
+const norm = (s) => String(s || '').toUpperCase().replace(/\bST\.?\s/g, 'SAINT ').replace(/['‘’]/g, '').replace(/[^A-Z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Spellings Zillow (the CBSA title) uses for a principal city -> candidates to look up, best first
+function cityVariants(city) {
+  const base = city.split('/')[0].trim(); // "Louisville/Jefferson County"
+  return [base, base.replace(/^Urban /, ''), base.replace(/ (City|Town)$/, ''), `${base} City`, base.replace(/borough$/, 'boro')]
+    .filter((v, i, a) => v && a.indexOf(v) === i);
+}
+
+async function zillowMetros(files) {
+  const names = new Set();
+  for (const file of files) {
+    let header = null;
+    for await (const row of readCsvRows(fs.createReadStream(file))) {
+      if (!header) { header = row; continue; }
+      const name = row[header.indexOf('RegionName')]; const type = row[header.indexOf('RegionType')];
+      if (/^msa$/i.test(type || '') && /, [A-Z]{2}$/.test(name || '')) names.add(name.trim());
+    }
+  }
+  return names;
+}
+
+// "CITY|ST" -> most populous place by name; `partial` holds the leading part of compound names ("Winston-Salem" and
+// "Washington, D.C." answer "Winston" and "Washington") for titles Zillow truncated
+function loadCities() {
+  const exact = new Map(); const partial = new Map();
+  const add = (map, name, c) => {
+    const key = `${norm(name)}|${c.adminCode}`;
+    if (!map.has(key) || map.get(key).population < c.population) map.set(key, c);
+  };
+  for (const c of require('all-the-cities')) {
+    if (c.country !== 'US' || !c.adminCode) continue;
+    for (const name of [c.name, ...(c.altName ? c.altName.split(',') : [])]) {
+      add(exact, name, c);
+      const lead = name.split(/[-,]/)[0];
+      if (lead !== name) add(partial, lead, c);
+    }
+  }
+  return { exact: (key) => exact.get(key), partial: (key) => partial.get(key) };
+}
+
+function loadCounties() {
+  const counties = [];
+  const cbsaLand = new Map(); // CBSA code -> land area (m²)
+  for (const f of require('us-counties').features) {
+    const p = f.properties; const g = f.geometry;
+    const polygons = g.type === 'Polygon' ? [g.coordinates] : g.coordinates;
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    for (const rings of polygons) for (const [x, y] of rings[0]) {
+      minLat = Math.min(minLat, y); maxLat = Math.max(maxLat, y); minLng = Math.min(minLng, x); maxLng = Math.max(maxLng, x);
+    }
+    counties.push({ state: p.state, cbsa: p.CBSAFP10 || null, land: p.ALAND10, polygons, bbox: [minLat, minLng, maxLat, maxLng] });
+    if (p.CBSAFP10) cbsaLand.set(p.CBSAFP10, (cbsaLand.get(p.CBSAFP10) || 0) + p.ALAND10);
+  }
+  return { counties, cbsaLand };
+}
+
+async function main() {
+  const files = process.argv.slice(2).length ? process.argv.slice(2)
+    : fs.readdirSync(DATA_DIR).filter(f => /^Metro_.*\.csv$|^zillow_ppsf_latest\.csv$/.test(f)).map(f => path.join(DATA_DIR, f));
+  const metros = await zillowMetros(files);
+  console.log(`${metros.size} metros in ${files.length} Zillow file(s)`);
+  const cities = loadCities();
+  const { counties, cbsaLand } = loadCounties();
+
+  const rows = []; const missing = [];
+  for (const name of Array.from(metros).sort()) {
+    const [city, st] = [name.slice(0, -4), name.slice(-2)];
+    const variants = cityVariants(city).map(v => `${norm(v)}|${st}`);
+    const place = variants.map(k => cities.exact(k)).find(Boolean) || variants.map(k => cities.partial(k)).find(Boolean);
+    if (!place) { missing.push(name); continue; }
+    const [lng, lat] = place.loc.coordinates;
+    const county = counties.find(c => c.state === st && lat >= c.bbox[0] && lat <= c.bbox[2] && lng >= c.bbox[1] && lng <= c.bbox[3] && inPolygons(c.polygons, lng, lat))
+      || counties.find(c => lat >= c.bbox[0] && lat <= c.bbox[2] && lng >= c.bbox[1] && lng <= c.bbox[3] && inPolygons(c.polygons, lng, lat));
+    if (!county) { missing.push(name); continue; }
+    const land = county.cbsa ? cbsaLand.get(county.cbsa) : county.land;
+    rows.push([name, lat.toFixed(4), lng.toFixed(4), Math.max(1, Math.round(Math.sqrt(land / SQ_METERS_PER_SQ_MILE / Math.PI))), county.cbsa || '']);
+  }
+  const csv = ['RegionName,lat,lng,radius_miles,cbsa', ...rows.map(([n, ...rest]) => [`"${n}"`, ...rest].join(','))].join('\n') + '\n';
+  fs.writeFileSync(OUT_FILE, csv);
+  console.log(`Wrote ${rows.length} metros to ${OUT_FILE}`);
+  if (missing.length) console.warn(`No principal city / county found for ${missing.length}: ${missing.join('; ')}`);
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
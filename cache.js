@@ -0,0 +1,127 @@
+// Persistent, section-granular result cache.
+// Entries are keyed by normalized address + section and stored in a JSON file (data/section_cache.json by default)
+// so they survive restarts. Each entry carries its own expiry and an optional version tag (e.g. the Zillow dataset
+// month) – a lookup with a different version is treated as a miss. Expired entries (and, when the caller can tell
+// the current version, outdated ones) are pruned on load and before every write, so the file doesn't grow forever.
+const fs = require('fs');
+const path = require('path');
+const { canonicalAddress } = require('./address');
+
+/**
+ * Normalize an address for use as a cache key: its canonical form (see address.js) when it parses, otherwise
+ * case / whitespace / punctuation / trailing country cleanup.
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddressKey(address) {
+  const canonical = canonicalAddress(address);
+  if (canonical) return canonical.toLowerCase();
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[.#]/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .replace(/,\s*(usa|united states|us)$/, '')
+    .trim();
+}
+
+/**
+ * Create a disk-backed section cache.
+ * @param {object} opts
+ * @param {string} opts.file JSON file used for persistence
+ * @param {(section:string)=>number|null} opts.ttlFor TTL in ms for a section (null = no expiry, rely on version)
+ * @param {number} [opts.flushDelayMs=1000] Debounce for writes
+ * @param {(key:string)=>string} [opts.keyFor=normalizeAddressKey] Key normalization (override for non-address keys)
+ * @param {(section:string)=>*} [opts.versionFor] Current version tag for a section (null / undefined = unknown or
+ *   unversioned); entries with another version are reported stale by list() and pruned
+ */
+function createSectionCache({ file, ttlFor, flushDelayMs = 1000, keyFor = normalizeAddressKey, versionFor }) {
+  let entries = {}; // "address|section" -> { address, section, value, meta, storedAt, expiresAt, version }
+  let flushTimer = null;
+  const stats = { hits: 0, misses: 0 };
+
+  try {
+    if (fs.existsSync(file)) entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+  } catch (e) {
+    console.warn(`Section cache at ${file} unreadable, starting empty:`, e.message);
+  }
+
+  const isLive = (e, version) => (!e.expiresAt || e.expiresAt > Date.now()) && (version === undefined || e.version === version);
+  // Live against the current version when versionFor knows it
+  const isCurrent = (e) => isLive(e, (versionFor && versionFor(e.section)) ?? undefined);
+
+  // Drop expired / outdated entries; returns how many went
+  function prune() {
+    let removed = 0;
+    for (const [k, e] of Object.entries(entries)) {
+      if (isCurrent(e)) continue;
+      delete entries[k];
+      removed++;
+    }
+    return removed;
+  }
+  // Expiry only: versionFor may depend on state that isn't set up yet (datasets load later)
+  for (const [k, e] of Object.entries(entries)) if (!isLive(e)) delete entries[k];
+
+  function flush() {
+    flushTimer = null;
+    prune();
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), entries }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('Failed to persist section cache:', e.message);
+    }
+  }
+  const scheduleFlush = () => { if (!flushTimer) flushTimer = setTimeout(flush, flushDelayMs); };
+
+  return {
+    /**
+     * @returns {{value:*, meta:object, storedAt:number}|null}
+     */
+    get(address, section, { version } = {}) {
+      const k = `${keyFor(address)}|${section}`;
+      const e = entries[k];
+      if (e && isLive(e, version)) { stats.hits++; return e; }
+      stats.misses++;
+      return null;
+    },
+    set(address, section, value, { meta, version } = {}) {
+      const ttl = ttlFor(section);
+      const address_key = keyFor(address);
+      entries[`${address_key}|${section}`] = { address: address_key, section, value, meta: meta || null, storedAt: Date.now(), expiresAt: ttl ? Date.now() + ttl : null, version: version ?? null };
+      scheduleFlush();
+    },
+    /**
+     * Remove entries matching an address and/or section (both optional; no filter purges everything).
+     * @returns {number} Entries removed
+     */
+    purge({ address, section } = {}) {
+      const a = address ? keyFor(address) : null;
+      let removed = 0;
+      for (const [k, e] of Object.entries(entries)) {
+        if ((a && e.address !== a) || (section && e.section !== section)) continue;
+        delete entries[k];
+        removed++;
+      }
+      if (removed) scheduleFlush();
+      return removed;
+    },
+    /** Entry summaries (without values), optionally filtered by address. */
+    list({ address } = {}) {
+      const a = address ? keyFor(address) : null;
+      return Object.values(entries)
+        .filter(e => !a || e.address === a)
+        .map(e => ({ address: e.address, section: e.section, stored_at: new Date(e.storedAt).toISOString(), expires_at: e.expiresAt ? new Date(e.expiresAt).toISOString() : null, version: e.version, live: isCurrent(e) }));
+    },
+    stats() {
+      const total = stats.hits + stats.misses;
+      return { file, entries: Object.keys(entries).length, hits: stats.hits, misses: stats.misses, hit_rate: total ? +(stats.hits / total).toFixed(3) : null };
+    },
+    flush
+  };
+}
+
+module.exports = { createSectionCache, normalizeAddressKey };
@@ -0,0 +1,168 @@
+// Configuration: every setting the server reads, declared once in SCHEMA with its environment variable, type and
+// default. Values are layered defaults < config file < environment (.env is loaded first), converted to the declared
+// type and checked; any invalid value stops startup with one error listing every problem.
+// The config file is JSON shaped like the exported object ({ "port": 3001, "llm": { "provider": "openai" } }):
+// CONFIG_FILE, else config.json next to this file when it exists. Keep secrets in .env or config.json (git-ignored).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const dataFile = (name) => path.join(DATA_DIR, name);
+
+/**
+ * Settings by dotted key in the config object: { env, type, default, values, min, max, secret, doc }.
+ * type: string | integer | number | list (comma-separated in the environment) | object (config file only).
+ * `values` limits strings and list items; `min` / `max` bound numbers; `secret` values are masked in describe().
+ */
+const SCHEMA = {
+  geminiApiKey: { env: 'GEMINI_API_KEY', type: 'string', secret: true, doc: 'Gemini key (AI sections)' },
+  googleApiKey: { env: 'GOOGLE_API_KEY', type: 'string', secret: true, doc: 'Google Maps key (geocoding, place details)' },
+  fbiApiKey: { env: 'FBI_API_KEY', type: 'string', secret: true, doc: 'api.data.gov key (FBI crime data)' },
+  port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  host: { env: 'HOST', type: 'string', default: '0.0.0.0' },
+  dataDir: { env: 'DATA_DIR', type: 'string', default: DATA_DIR, doc: 'Where /api/refreshZillow downloads and batch job state are written' },
+  aiRepairRetries: { env: 'AI_REPAIR_RETRIES', type: 'integer', default: 2, min: 0, max: 5 },
+
+  'llm.provider': { env: 'LLM_PROVIDER', type: 'string', default: 'gemini', values: ['gemini', 'openai', 'fixture'] },
+  'llm.model': { env: 'LLM_MODEL', type: 'string' },
+  'llm.openai.baseUrl': { env: 'OPENAI_BASE_URL', type: 'string', pattern: /^https?:\/\//, patternDoc: 'an http(s) URL' },
+  'llm.openai.apiKey': { env: 'OPENAI_API_KEY', type: 'string', secret: true },
+  'llm.fixture.path': { env: 'LLM_FIXTURE_PATH', type: 'string', default: path.join(__dirname, 'properties.json') },
+  'llm.sectionModels': { env: 'LLM_SECTION_MODELS', type: 'string', pattern: /^\s*(\w+\s*=\s*\w+(:[^,=]+)?\s*(,\s*|$))*$/, patternDoc: 'section=provider[:model],...' },
+  'llm.timeoutMs': { env: 'LLM_TIMEOUT_MS', type: 'integer', default: 60000, min: 1000, doc: 'Per generation request' },
+  'llm.sections': { type: 'object', default: {}, doc: 'Per-section { provider, model } (config file only)' },
+
+  'concurrency.llm': { env: 'LLM_CONCURRENCY', type: 'integer', default: 6, min: 1 },
+  'concurrency.fbi': { env: 'FBI_CONCURRENCY', type: 'integer', default: 4, min: 1 },
+  'concurrency.maps': { env: 'MAPS_CONCURRENCY', type: 'integer', default: 8, min: 1 },
+  'batch.concurrency': { env: 'BATCH_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+  'batch.maxAddresses': { env: 'BATCH_MAX_ADDRESSES', type: 'integer', default: 200, min: 1 },
+
+  'cache.aiDays': { env: 'CACHE_TTL_AI_DAYS', type: 'number', default: 14, min: 0 },
+  'cache.crimeDays': { env: 'CACHE_TTL_CRIME_DAYS', type: 'number', default: 365, min: 0 },
+  'cache.fbiDays': { env: 'CACHE_TTL_FBI_DAYS', type: 'number', default: 365, min: 0 },
+  'cache.geocodeDays': { env: 'CACHE_TTL_GEOCODE_DAYS', type: 'number', default: 180, min: 0 },
+  'cache.sectionFile': { env: 'SECTION_CACHE_FILE', type: 'string', default: dataFile('section_cache.json') },
+  'cache.fbiFile': { env: 'FBI_CACHE_FILE', type: 'string', default: dataFile('fbi_cache.json') },
+  'cache.geocodeFile': { env: 'GEOCODE_CACHE_FILE', type: 'string', default: dataFile('geocode_cache.json') },
+
+  'fbi.timeoutMs': { env: 'FBI_TIMEOUT_MS', type: 'integer', default: 15000, min: 1000 },
+  'fbi.retries': { env: 'FBI_RETRIES', type: 'integer', default: 2, min: 0, max: 10 },
+  'fbi.trendYears': { env: 'CRIME_TREND_YEARS', type: 'integer', default: 5, min: 2, max: 20 },
+
+  'geocoder.backends': { env: 'GEOCODER_BACKENDS', type: 'list', default: ['google', 'gazetteer'], values: ['google', 'census', 'gazetteer'] },
+  'geocoder.gazetteer': { env: 'GEOCODER_GAZETTEER', type: 'string', default: dataFile('gazetteer.csv') },
+  'metros.centroidsCsv': { env: 'METRO_CENTROIDS_CSV', type: 'string', default: dataFile('metro_centroids.csv') },
+  'metros.boundariesGeojson': { env: 'METRO_BOUNDARIES_GEOJSON', type: 'string' },
+
+  'zillowDatasets.zhviWide': { env: 'ZILLOW_ZIP_ZHVI_CSV', type: 'string', doc: 'Path or URL of the ZIP ZHVI CSV' },
+  'zillowDatasets.pricePerSqft': { env: 'ZILLOW_PPSF_CSV', type: 'string', default: dataFile('zillow_ppsf_latest.csv') },
+  'zillowDatasets.marketHeat': { env: 'ZILLOW_MARKET_HEAT_CSV', type: 'string', default: dataFile('Metro_market_temp_index_uc_sfrcondo_month.csv') },
+
+  'health.cacheSeconds': { env: 'HEALTH_CACHE_SECONDS', type: 'integer', default: 60, min: 0, doc: 'Reuse /api/health upstream results this long (Google probes are billed)' },
+  'health.timeoutMs': { env: 'HEALTH_TIMEOUT_MS', type: 'integer', default: 8000, min: 500 },
+  'health.zillowStaleMonths': { env: 'ZILLOW_STALE_MONTHS', type: 'integer', default: 3, min: 1, doc: 'Latest month this far behind reports the dataset stale' },
+
+  'upstream.mode': { env: 'UPSTREAM_MODE', type: 'string', doc: 'live | record | replay | fake, with provider=mode overrides' },
+  'upstream.fixturesDir': { env: 'UPSTREAM_FIXTURES_DIR', type: 'string', default: path.join(__dirname, 'fixtures') }
+};
+
+const getPath = (obj, key) => key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((o, k) => (o[k] = o[k] || {}), obj);
+  target[last] = value;
+}
+
+// Leaf keys of a config-file object (objects are descended unless the schema declares them as a value)
+function fileKeys(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    return v && typeof v === 'object' && !Array.isArray(v) && SCHEMA[key]?.type !== 'object' ? fileKeys(v, key) : [key];
+  });
+}
+
+// Raw value (string from the environment, any JSON value from the file) -> typed value, or { error }
+function convert(spec, raw) {
+  const fail = (why) => ({ error: `${why}, got ${JSON.stringify(raw)}` });
+  let value = raw;
+  if (spec.type === 'integer' || spec.type === 'number') {
+    value = typeof raw === 'number' ? raw : String(raw).trim() === '' ? NaN : Number(raw);
+    if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) return fail(`must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    if (spec.min !== undefined && value < spec.min) return fail(`must be >= ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) return fail(`must be <= ${spec.max}`);
+  } else if (spec.type === 'list') {
+    value = (Array.isArray(raw) ? raw : String(raw).split(',')).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+    const bad = spec.values ? value.filter(v => !spec.values.includes(v)) : [];
+    if (bad.length) return fail(`items must be one of ${spec.values.join(', ')} (unknown: ${bad.join(', ')})`);
+  } else if (spec.type === 'object') {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('must be an object');
+  } else {
+    if (typeof raw !== 'string') return fail('must be a string');
+    value = raw.trim();
+    if (spec.values && !spec.values.includes(value.toLowerCase())) return fail(`must be one of ${spec.values.join(', ')}`);
+    if (spec.values) value = value.toLowerCase();
+    if (spec.pattern && !spec.pattern.test(value)) return fail(`must be ${spec.patternDoc}`);
+  }
+  return { value };
+}
+
+/**
+ * Build the config from defaults, the config file and the environment.
+ * @param {object} [opts]
+ * @param {Object<string,string|undefined>} [opts.env=process.env]
+ * @param {string} [opts.file] Config file path (default CONFIG_FILE or ./config.json when present)
+ * @returns {{config:object, sources:Object<string,string>}} sources: key -> 'default' | file path | env variable
+ * @throws {Error} Listing every invalid value
+ */
+function loadConfig({ env = process.env, file } = {}) {
+  const errors = [];
+  const configFile = file || env.CONFIG_FILE || (fs.existsSync(path.join(__dirname, 'config.json')) ? path.join(__dirname, 'config.json') : null);
+  let fromFile = {};
+  if (configFile) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (e) {
+      errors.push(`${configFile}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`);
+    }
+    for (const key of fileKeys(fromFile)) if (!SCHEMA[key]) errors.push(`${configFile}: unknown setting "${key}"`);
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const envRaw = spec.env ? env[spec.env] : undefined;
+    const fileRaw = getPath(fromFile, key);
+    // An empty variable (as left by .env.example) means "not set"
+    const [raw, source] = envRaw !== undefined && envRaw !== '' ? [envRaw, spec.env] : fileRaw !== undefined && fileRaw !== null ? [fileRaw, configFile] : [undefined, 'default'];
+    let value = spec.default === undefined ? null : spec.default;
+    if (raw !== undefined) {
+      const out = convert(spec, raw);
+      if (out.error) errors.push(`${source === configFile ? `${configFile} ${key}` : spec.env}: ${out.error}`);
+      else value = out.value === '' ? value : out.value;
+    }
+    setPath(config, key, value);
+    sources[key] = source;
+  }
+  if (errors.length) throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  return { config, sources };
+}
+
+const { config, sources } = loadConfig();
+
+/**
+ * Every setting with its value (secrets masked) and where it came from.
+ * @returns {Object<string,{value:*, source:string, env:string|null}>}
+ */
+function describe() {
+  const mask = (k) => (k ? `${k.slice(0, 4)}...${k.slice(-4)} (len:${k.length})` : null);
+  return Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => {
+    const value = getPath(config, key);
+    return [key, { value: spec.secret ? mask(value) : value, source: sources[key], env: spec.env || null }];
+  }));
+}
+Object.defineProperty(config, 'describe', { value: describe });
+
+module.exports = config;
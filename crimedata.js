@@ -0,0 +1,227 @@
+// Typed FBI Crime Data API functions, generated from the bundled swagger.json.
+// Each endpoint the app uses is declared once below: its live route, the swagger operation that describes it and
+// the row definition of its `results`. Parameters are checked against the swagger parameter definitions before a
+// request is made (a bad call throws); response rows are checked against the definition and normalized, and field
+// drift (renamed, unknown, missing or mistyped fields) is recorded in one report instead of patched over by callers.
+// The bundled swagger predates the /summarized routes and the year-range estimate routes, so their extra
+// parameters and row shape are declared in LOCAL_PARAMS / LOCAL_DEFINITIONS.
+const SWAGGER = require('./swagger.json');
+const { validate } = require('./schema');
+
+const LOCAL_PARAMS = {
+  stateAbbr: { in: 'query', name: 'stateAbbr', type: 'string', pattern: '^[A-Z]{2}$' },
+  since: { in: 'path', name: 'since', type: 'integer', minimum: 1960, required: true },
+  until: { in: 'path', name: 'until', type: 'integer', minimum: 1960, required: true },
+  offense: {
+    in: 'path', name: 'offense', type: 'string', required: true,
+    enum: ['violent-crime', 'property-crime', 'homicide-offenses', 'robbery', 'aggravated-assault', 'burglary', 'larceny-theft', 'motor-vehicle-theft', 'arson']
+  }
+};
+
+const LOCAL_DEFINITIONS = {
+  SummarizedOffense: {
+    type: 'object',
+    required: ['data_year', 'actual'],
+    properties: {
+      ori: { type: 'string' },
+      data_year: { type: 'integer', minimum: 1960 },
+      offense: { type: 'string' },
+      state_abbr: { type: ['string', 'null'] },
+      cleared: { type: ['integer', 'null'], minimum: 0 },
+      actual: { type: ['integer', 'null'], minimum: 0 }
+    }
+  }
+};
+
+// Older / alternate names the API has used for a definition's fields: canonical <- aliases
+const FIELD_ALIASES = {
+  EstimatedCount: { homicide: ['murder', 'murder_and_nonnegligent_manslaughter'], year: ['data_year'] },
+  SummarizedOffense: { data_year: ['year'] },
+  AgencyParticipation: { agency_ori: ['ori'] }
+};
+
+// Envelope keys some routes use instead of `results`
+const RESULTS_ALIASES = ['agencies', 'data'];
+
+/**
+ * Endpoints: live `path` (with {placeholders}), swagger `operation` (parameters + response), `query` parameter
+ * names, row `definition` and the row fields callers read (`uses`: only these are reported when missing).
+ */
+const ENDPOINTS = {
+  listAgencies: {
+    path: '/agencies/byStateAbbr', operation: '/agencies', query: ['stateAbbr', 'page', 'per_page'],
+    definition: 'Agency', uses: ['ori', 'agency_name', 'agency_type_name', 'city_name', 'primary_county', 'primary_county_fips', 'population']
+  },
+  agencyParticipation: {
+    path: '/participation/agencies', operation: '/participation/agencies', query: ['agency_ori', 'page', 'per_page'],
+    definition: 'AgencyParticipation', uses: ['year', 'agency_ori', 'months_reported']
+  },
+  nationalEstimates: {
+    path: '/estimates/national', operation: '/estimates/national', query: ['page', 'per_page'],
+    definition: 'EstimatedCount', uses: ['year', 'population', 'violent_crime', 'homicide', 'robbery', 'aggravated_assault', 'property_crime', 'burglary', 'larceny', 'motor_vehicle_theft']
+  },
+  stateEstimates: {
+    path: '/estimates/states/{state_abbr}/{since}/{until}', operation: '/estimates/states/{state_abbr}', query: ['page', 'per_page'],
+    definition: 'EstimatedCount', uses: ['year', 'population', 'violent_crime', 'homicide', 'robbery', 'aggravated_assault', 'property_crime', 'burglary', 'larceny', 'motor_vehicle_theft']
+  },
+  stateOffenseCounts: {
+    path: '/offenses/count/states/{state_abbr}/{variable}', operation: '/offenses/count/states/{state_abbr}/{variable}', query: ['page', 'per_page'],
+    definition: 'CountForYear', uses: ['year', 'count']
+  },
+  agencyOffenseCounts: {
+    path: '/agencies/count/{ori}/offenses', operation: '/agencies/count/{ori}/offenses', query: ['page', 'per_page'],
+    definition: 'AgencyOffenseCounts', uses: ['year', 'offense_name', 'actual', 'classification']
+  },
+  agencyOffenseSummary: {
+    path: '/summarized/agencies/{ori}/{offense}/offense/{since}/{until}', operation: null, query: [],
+    definition: 'SummarizedOffense', uses: ['data_year', 'actual']
+  }
+};
+
+const ROOT = { ...SWAGGER, definitions: { ...SWAGGER.definitions, ...LOCAL_DEFINITIONS } };
+
+// Properties of a definition, following allOf / $ref composition
+function definitionProps(def) {
+  if (def.$ref) return definitionProps(ROOT.definitions[def.$ref.split('/').pop()] || {});
+  return Object.assign({}, ...(def.allOf || []).map(definitionProps), def.properties || {});
+}
+
+// Parameter definition by name: the operation's own, else any swagger parameter of that name, else a local one
+function paramSpec(endpoint, name) {
+  const resolve = (p) => (p.$ref ? SWAGGER.parameters[p.$ref.split('/').pop()] : p);
+  const own = endpoint.operation ? (SWAGGER.paths[endpoint.operation]?.get?.parameters || []).map(resolve) : [];
+  const fromPath = endpoint.path.includes(`{${name}}`);
+  return own.find(p => p.name === name)
+    || (fromPath && Object.values(SWAGGER.parameters).find(p => p.name === name && p.in === 'path'))
+    || LOCAL_PARAMS[name]
+    || Object.values(SWAGGER.parameters).find(p => p.name === name)
+    || null;
+}
+
+/**
+ * Values the swagger allows for an endpoint's {variable} path parameter (what a NIBRS count can be grouped by).
+ * @param {string} fn Endpoint name, e.g. 'stateOffenseCounts'
+ * @returns {string[]}
+ */
+function countVariables(fn) {
+  const endpoint = ENDPOINTS[fn];
+  return (endpoint && paramSpec(endpoint, 'variable')?.enum) || [];
+}
+
+function checkParam(fn, spec, name, value) {
+  const fail = (why) => { throw new Error(`crimeData.${fn}: parameter ${name} ${why}`); };
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) fail('is required');
+    return null;
+  }
+  const values = spec.type === 'array' ? [].concat(value) : [value];
+  const itemSpec = spec.type === 'array' ? spec.items || {} : spec;
+  for (const v of values) {
+    const coerced = itemSpec.type === 'integer' && /^\d+$/.test(String(v)) ? Number(v) : v;
+    const errors = validate({ type: itemSpec.type, enum: itemSpec.enum, minimum: itemSpec.minimum, maximum: itemSpec.maximum }, coerced);
+    if (errors.length) fail(errors[0].message);
+    if (itemSpec.pattern && !new RegExp(`^(?:${itemSpec.pattern.replace(/^\^|\$$/g, '')})$`).test(String(v))) fail(`must match ${itemSpec.pattern}`);
+    if (itemSpec.minLength && String(v).length < itemSpec.minLength) fail(`must be at least ${itemSpec.minLength} characters`);
+    if (itemSpec.maxLength && String(v).length > itemSpec.maxLength) fail(`must be at most ${itemSpec.maxLength} characters`);
+  }
+  return values.join(',');
+}
+
+/**
+ * @typedef {object} CrimeDataApi
+ * @property {(p:{stateAbbr:string, page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} listAgencies
+ * @property {(p:{agency_ori:string|string[], page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} agencyParticipation
+ * @property {(p?:{page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} nationalEstimates
+ * @property {(p:{state_abbr:string, since:number, until:number, page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} stateEstimates
+ * @property {(p:{state_abbr:string, variable:string, page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} stateOffenseCounts
+ * @property {(p:{ori:string, page?:number, per_page?:number})=>Promise<{pagination:object|null, results:object[]}>} agencyOffenseCounts
+ * @property {(p:{ori:string, offense:string, since:number, until:number})=>Promise<{pagination:object|null, results:object[]}>} agencyOffenseSummary
+ * @property {(name:string, params:object)=>string} pathFor Checked request path for an endpoint (for raw probes)
+ * @property {(name:string, params:object, opts?:{maxPages?:number})=>Promise<object[]>} collect Rows of every page
+ * @property {()=>object[]} fieldReport Field drift seen so far
+ */
+
+/**
+ * @param {object} opts
+ * @param {{get:(path:string)=>Promise<object>}} opts.client createFbiClient() instance
+ * @returns {CrimeDataApi}
+ */
+function createCrimeDataApi({ client }) {
+  const drift = new Map(); // "endpoint|kind|field" -> entry
+
+  function report(fn, kind, field, detail) {
+    const k = `${fn}|${kind}|${field}`;
+    const e = drift.get(k);
+    if (e) { e.count++; return; }
+    drift.set(k, { endpoint: fn, kind, field, detail: detail || null, count: 1, first_seen: new Date().toISOString() });
+    console.warn(`FBI API field drift (${fn}): ${kind} ${field}${detail ? ` – ${detail}` : ''}`);
+  }
+
+  function pathFor(fn, params = {}) {
+    const endpoint = ENDPOINTS[fn];
+    if (!endpoint) throw new Error(`crimeData: unknown endpoint ${fn}`);
+    const names = [...endpoint.path.matchAll(/\{(\w+)\}/g)].map(m => m[1]).concat(endpoint.query);
+    const unknown = Object.keys(params).filter(k => !names.includes(k));
+    if (unknown.length) throw new Error(`crimeData.${fn}: unknown parameter ${unknown.join(', ')}`);
+    const query = new URLSearchParams();
+    let path = endpoint.path;
+    for (const name of names) {
+      const spec = paramSpec(endpoint, name);
+      if (!spec) throw new Error(`crimeData.${fn}: parameter ${name} has no definition`);
+      const value = checkParam(fn, { ...spec, required: spec.required || endpoint.path.includes(`{${name}}`) }, name, params[name]);
+      if (endpoint.path.includes(`{${name}}`)) path = path.replace(`{${name}}`, encodeURIComponent(value));
+      else if (value !== null) query.set(name, value);
+    }
+    const qs = query.toString();
+    return qs ? `${path}?${qs}` : path;
+  }
+
+  // `params.variable`: CountForYear rows carry the counted variable as an extra field (e.g. location_name)
+  function normalizeRow(fn, endpoint, row, params) {
+    const props = definitionProps(ROOT.definitions[endpoint.definition]);
+    const aliases = FIELD_ALIASES[endpoint.definition] || {};
+    const out = { ...row };
+    const aliasNames = new Set();
+    for (const [canonical, alts] of Object.entries(aliases)) {
+      alts.forEach(a => aliasNames.add(a));
+      if (out[canonical] !== undefined) continue;
+      const found = alts.find(a => row[a] !== undefined);
+      if (found) { out[canonical] = row[found]; report(fn, 'renamed', canonical, `received as ${found}`); }
+    }
+    for (const k of Object.keys(row)) if (!props[k] && !aliasNames.has(k) && k !== params?.variable) report(fn, 'unknown', k);
+    for (const f of endpoint.uses) if (out[f] === undefined) report(fn, 'missing', f);
+    const used = Object.fromEntries(endpoint.uses.filter(f => out[f] !== undefined && props[f]).map(f => [f, out[f]]));
+    for (const err of validate({ type: 'object', properties: props }, used, ROOT)) report(fn, 'invalid', err.path, err.message);
+    return out;
+  }
+
+  async function call(fn, params) {
+    const endpoint = ENDPOINTS[fn];
+    const json = await client.get(pathFor(fn, params));
+    let results = json?.results;
+    if (!Array.isArray(results)) {
+      const key = RESULTS_ALIASES.find(k => Array.isArray(json?.[k]));
+      if (key) report(fn, 'renamed', 'results', `received as ${key}`);
+      else report(fn, 'missing', 'results');
+      results = key ? json[key] : [];
+    }
+    return { pagination: json?.pagination || null, results: results.map(row => normalizeRow(fn, endpoint, row, params)) };
+  }
+
+  // Every page of an endpoint (pagination.pages, capped at maxPages)
+  async function collect(fn, params = {}, { maxPages = 10 } = {}) {
+    const rows = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const { pagination, results } = await call(fn, { ...params, page });
+      rows.push(...results);
+      if (!pagination?.pages || page >= pagination.pages) break;
+    }
+    return rows;
+  }
+
+  const api = { pathFor, collect, fieldReport: () => Array.from(drift.values()) };
+  for (const fn of Object.keys(ENDPOINTS)) api[fn] = (params) => call(fn, params);
+  return api;
+}
+
+module.exports = { createCrimeDataApi, countVariables, ENDPOINTS };
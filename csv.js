@@ -0,0 +1,84 @@
+// CSV parsing shared by the Zillow loaders and batch uploads.
+const { StringDecoder } = require('string_decoder');
+
+// Basic CSV line parser supporting quoted fields and escaped quotes
+function parseCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (inQuotes && line[i+1] === '"') { // escaped quote
+        cur += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (ch === ',' && !inQuotes) {
+      out.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Stream rows out of CSV text arriving in chunks (fs.createReadStream, Readable.fromWeb(resp.body), ...).
+ * Same quoting rules as parseCsvLine (quotes toggle, "" is an escaped quote); a quoted field may also span lines.
+ * Blank lines are skipped. Chunks are parsed as they arrive, so the event loop stays free between them.
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {(bytes:number)=>void} [onBytes] Called after each chunk with the total bytes consumed so far
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* readCsvRows(stream, onBytes) {
+  const decoder = new StringDecoder('utf8');
+  let row = [];
+  let cur = '';
+  let inQuotes = false;
+  let afterQuote = false; // saw a quote inside a quoted field; the next char decides escape vs close (may be in the next chunk)
+  let bytes = 0;
+  const isBlank = (r) => r.length === 1 && !r[0].trim();
+
+  for await (const chunk of stream) {
+    bytes += chunk.length;
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const rows = [];
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (afterQuote) {
+        afterQuote = false;
+        if (ch === '"') { cur += '"'; continue; }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (ch === '"') afterQuote = true;
+        else cur += ch;
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(cur);
+        cur = '';
+      } else if (ch === '\n') {
+        row.push(cur);
+        if (!isBlank(row)) rows.push(row);
+        row = [];
+        cur = '';
+      } else if (ch !== '\r') {
+        cur += ch;
+      }
+    }
+    if (onBytes) onBytes(bytes);
+    yield* rows;
+  }
+  cur += decoder.end();
+  if (cur || row.length) {
+    row.push(cur);
+    if (!isBlank(row)) yield row;
+  }
+}
+
+module.exports = { parseCsvLine, readCsvRows };
@@ -0,0 +1,271 @@
+// Built-in upstream fakes (UPSTREAM_MODE=fake): deterministic answers shaped like the real Gemini, Google Maps,
+// Census geocoder, FBI Crime Data API and Zillow responses, so every flow runs with no keys or network.
+// Geography comes from the few places in FAKE_PLACES; any other address gets the API's "nothing found" answer.
+// Numbers are derived from a hash of the agency / state / region, so the same request always gets the same answer.
+const crypto = require('crypto');
+const { parseAddress } = require('./address');
+const { findState } = require('./states');
+const { haversineMiles } = require('./metros');
+const PROPERTY_EXAMPLE = require('./properties.json');
+
+const FAKE_PLACES = [
+  { zip: '98125', city: 'Seattle', state: 'WA', county: 'King County', county_fips: '53033', metro: 'Seattle, WA', lat: 47.7167, lng: -122.3022, population: 749000 },
+  { zip: '98101', city: 'Seattle', state: 'WA', county: 'King County', county_fips: '53033', metro: 'Seattle, WA', lat: 47.6114, lng: -122.3305, population: 749000 },
+  { zip: '98402', city: 'Tacoma', state: 'WA', county: 'Pierce County', county_fips: '53053', metro: 'Seattle, WA', lat: 47.2545, lng: -122.4419, population: 219000 },
+  { zip: '78701', city: 'Austin', state: 'TX', county: 'Travis County', county_fips: '48453', metro: 'Austin, TX', lat: 30.2711, lng: -97.7437, population: 975000 },
+  { zip: '10001', city: 'New York', state: 'NY', county: 'New York County', county_fips: '36061', metro: 'New York, NY', lat: 40.7506, lng: -73.9972, population: 8300000 }
+];
+// Zillow's public ZIP ZHVI file: the ZHVI source used when the Zillow fake is on and none is configured
+const FAKE_ZHVI_URL = 'https://files.zillowstatic.com/research/public_csvs/zhvi/Zip_zhvi_uc_sfrcondo_tier_0.33_0.67_sm_sa_month.csv';
+
+// Stable pseudo-random number in [0, 1) for a key
+const unit = (key) => parseInt(crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, 8), 16) / 2 ** 32;
+const titleCase = (s) => String(s).toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+const lastYear = () => new Date().getFullYear() - 1;
+
+function findPlace(query) {
+  const parsed = parseAddress(query);
+  const place = (parsed.zip && FAKE_PLACES.find(p => p.zip === parsed.zip))
+    || (parsed.city && FAKE_PLACES.find(p => p.city.toUpperCase() === parsed.city && p.state === parsed.state));
+  if (!place) return null;
+  // Each street lands at its own spot within ~1.5 miles of the ZIP center
+  const street = parsed.street || null;
+  return {
+    place, street,
+    lat: +(place.lat + (street ? (unit(`lat:${street}`) - 0.5) * 0.04 : 0)).toFixed(6),
+    lng: +(place.lng + (street ? (unit(`lng:${street}`) - 0.5) * 0.06 : 0)).toFixed(6)
+  };
+}
+
+// ---------------- Gemini ---------------- //
+
+// models/<model>: the model description (health check); generateContent: the properties.json example for the
+// section the prompt asks for
+function fakeGemini(url, req) {
+  const model = url.pathname.match(/\/models\/([^/:]+)$/)?.[1];
+  if (model && req.method === 'GET') return { json: { name: `models/${model}`, displayName: model, supportedGenerationMethods: ['generateContent'] } };
+  if (!/:generateContent$/.test(url.pathname) || req.method !== 'POST') return null;
+  const prompt = JSON.parse(req.body || '{}').contents?.[0]?.parts?.map(p => p.text || '').join('') || '';
+  const section = prompt.match(/generate the "(\w+)" section/)?.[1];
+  const address = prompt.match(/for the following address:\s*\n(.+)/)?.[1]?.trim();
+  const value = section && PROPERTY_EXAMPLE[section] ? { [section]: PROPERTY_EXAMPLE[section] } : { ...PROPERTY_EXAMPLE, ...(address ? { address } : {}) };
+  const text = JSON.stringify(value);
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const outputTokens = Math.ceil(text.length / 4);
+  return {
+    json: {
+      candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }],
+      usageMetadata: { promptTokenCount: promptTokens, candidatesTokenCount: outputTokens, totalTokenCount: promptTokens + outputTokens }
+    }
+  };
+}
+
+// ---------------- Google Maps ---------------- //
+
+function geocodeResult(hit) {
+  const { place, street } = hit;
+  const [number, ...rest] = street ? street.split(' ') : [];
+  const hasNumber = /^\d+[A-Z]?$/.test(number || '');
+  const route = titleCase((hasNumber ? rest : [number, ...rest]).join(' '));
+  const component = (long_name, short_name, types) => ({ long_name, short_name, types });
+  return {
+    formatted_address: `${street ? `${titleCase(street)}, ` : ''}${place.city}, ${place.state} ${place.zip}, USA`,
+    place_id: `fake_${hit.lat}_${hit.lng}`,
+    types: street ? ['street_address'] : ['postal_code'],
+    geometry: { location: { lat: hit.lat, lng: hit.lng }, location_type: street ? 'ROOFTOP' : 'APPROXIMATE' },
+    address_components: [
+      ...(street && hasNumber ? [component(number, number, ['street_number'])] : []),
+      ...(street ? [component(route, route, ['route'])] : []),
+      component(place.city, place.city, ['locality', 'political']),
+      component(place.county, place.county, ['administrative_area_level_2', 'political']),
+      component(findState(place.state).name, place.state, ['administrative_area_level_1', 'political']),
+      component(place.zip, place.zip, ['postal_code']),
+      component('United States', 'US', ['country', 'political'])
+    ]
+  };
+}
+
+// "lat,lng", "place_id:fake_<lat>_<lng>" (from the places fake) or an address
+function resolvePoint(s) {
+  const id = s.match(/^place_id:fake_(-?[\d.]+)_(-?[\d.]+)$/);
+  if (id) return { lat: +id[1], lng: +id[2] };
+  const ll = s.match(/^(-?[\d.]+),\s*(-?[\d.]+)$/);
+  if (ll) return { lat: +ll[1], lng: +ll[2] };
+  const hit = findPlace(s);
+  return hit ? { lat: hit.lat, lng: hit.lng } : null;
+}
+
+function fakeGoogleMaps(url) {
+  const q = url.searchParams;
+  if (url.pathname === '/maps/api/geocode/json') {
+    const hit = findPlace(q.get('address') || '');
+    return { json: hit ? { status: 'OK', results: [geocodeResult(hit)] } : { status: 'ZERO_RESULTS', results: [] } };
+  }
+  if (url.pathname === '/maps/api/place/nearbysearch/json') {
+    const origin = resolvePoint(q.get('location') || '');
+    const keyword = q.get('keyword') || q.get('type') || 'place';
+    if (!origin) return { json: { status: 'INVALID_REQUEST', results: [] } };
+    // One match 0.5-6 miles away in a direction picked by the keyword
+    const miles = 0.5 + unit(`d:${keyword}`) * 5.5;
+    const angle = unit(`a:${keyword}`) * 2 * Math.PI;
+    const lat = +(origin.lat + (miles / 69) * Math.cos(angle)).toFixed(6);
+    const lng = +(origin.lng + (miles / (69 * Math.cos((origin.lat * Math.PI) / 180))) * Math.sin(angle)).toFixed(6);
+    return { json: { status: 'OK', results: [{ place_id: `fake_${lat}_${lng}`, name: titleCase(keyword), vicinity: 'Nearby', geometry: { location: { lat, lng } }, types: ['point_of_interest', 'establishment'] }] } };
+  }
+  if (url.pathname === '/maps/api/distancematrix/json') {
+    const origins = (q.get('origins') || '').split('|');
+    const destinations = (q.get('destinations') || '').split('|');
+    const rows = origins.map(o => ({
+      elements: destinations.map(d => {
+        const a = resolvePoint(o); const b = resolvePoint(d);
+        if (!a || !b) return { status: 'NOT_FOUND' };
+        // Road distance ~1.25x straight line, 25 mph average
+        const miles = haversineMiles(a, b) * 1.25;
+        const mins = Math.max(1, Math.round((miles / 25) * 60));
+        const duration = mins >= 60 ? `${Math.floor(mins / 60)} hour${mins >= 120 ? 's' : ''} ${mins % 60} mins` : `${mins} min${mins === 1 ? '' : 's'}`;
+        return { status: 'OK', distance: { text: `${miles.toFixed(1)} mi`, value: Math.round(miles * 1609.34) }, duration: { text: duration, value: mins * 60 } };
+      })
+    }));
+    return { json: { status: 'OK', origin_addresses: origins, destination_addresses: destinations, rows } };
+  }
+  return null;
+}
+
+// ---------------- Census geocoder ---------------- //
+
+function fakeCensus(url) {
+  if (!/\/geocoder\/geographies\/onelineaddress$/.test(url.pathname)) return null;
+  const hit = findPlace(url.searchParams.get('address') || '');
+  if (!hit?.street) return { json: { result: { addressMatches: [] } } };
+  const [number, ...rest] = hit.street.split(' ');
+  const { place } = hit;
+  return {
+    json: {
+      result: {
+        addressMatches: [{
+          matchedAddress: `${hit.street}, ${place.city.toUpperCase()}, ${place.state}, ${place.zip}`,
+          coordinates: { x: hit.lng, y: hit.lat },
+          addressComponents: { fromAddress: number, streetName: rest.join(' '), city: place.city.toUpperCase(), state: place.state, zip: place.zip },
+          geographies: { Counties: [{ NAME: place.county, STATE: place.county_fips.slice(0, 2), GEOID: place.county_fips }] }
+        }]
+      }
+    }
+  };
+}
+
+// ---------------- FBI Crime Data API ---------------- //
+
+// Offenses per 100k around the national level; each agency / state is scaled by its own factor and trend
+const FBI_RATES = {
+  violent_crime: 380, homicide: 6, robbery: 66, aggravated_assault: 268,
+  property_crime: 1950, burglary: 270, larceny: 1400, motor_vehicle_theft: 280, arson: 12
+};
+const SUMMARIZED_OFFENSES = {
+  'violent-crime': 'violent_crime', 'property-crime': 'property_crime', 'homicide-offenses': 'homicide', robbery: 'robbery',
+  'aggravated-assault': 'aggravated_assault', burglary: 'burglary', 'larceny-theft': 'larceny', 'motor-vehicle-theft': 'motor_vehicle_theft', arson: 'arson'
+};
+const NIBRS_NAMES = {
+  location_name: ['Residence/Home', 'Highway/Road/Alley/Street/Sidewalk', 'Parking/Drop Lot/Garage', 'Department/Discount Store', 'Convenience Store',
+    'Restaurant', 'Bar/Nightclub', 'Commercial/Office Building', 'Park/Playground', 'School-Elementary/Secondary', 'Other/Unknown'],
+  offense_name: ['All Other Larceny', 'Simple Assault', 'Destruction/Damage/Vandalism of Property', 'Theft From Motor Vehicle', 'Shoplifting',
+    'Burglary/Breaking & Entering', 'Motor Vehicle Theft', 'Aggravated Assault', 'Identity Theft', 'Robbery']
+};
+const AGENCY_OFFENSES = [
+  ['Larceny Theft', 'Property', 'larceny'], ['Burglary', 'Property', 'burglary'], ['Motor Vehicle Theft', 'Property', 'motor_vehicle_theft'],
+  ['Arson', 'Property', 'arson'], ['Robbery', 'Violent', 'robbery'], ['Aggravated Assault', 'Violent', 'aggravated_assault'], ['Homicide', 'Violent', 'homicide']
+];
+
+// Agencies of a state: each city's police department plus its county sheriff
+function fakeAgencies(state) {
+  const cities = [...new Map(FAKE_PLACES.filter(p => p.state === state).map(p => [p.city, p])).values()];
+  const agencies = [];
+  cities.forEach((p, i) => {
+    const fips3 = p.county_fips.slice(2);
+    const common = { state_abbr: state, primary_county: p.county.replace(/ County$/, ''), primary_county_fips: p.county_fips, agency_status: 'A' };
+    agencies.push({ ori: `${state}${fips3}${String(i + 1).padStart(2, '0')}00`, agency_name: `${p.city} Police Department`, agency_type_name: 'City', city_name: p.city, population: p.population, ...common });
+    if (!agencies.some(a => a.ori === `${state}${fips3}0000`)) {
+      agencies.push({ ori: `${state}${fips3}0000`, agency_name: `${p.county} Sheriff's Office`, agency_type_name: 'County', city_name: null, population: Math.round(p.population * 0.4), ...common });
+    }
+  });
+  return agencies;
+}
+
+function fakeCount(key, field, population, year) {
+  const level = 0.6 + unit(`${key}:level`);
+  const trend = (unit(`${key}:trend:${field}`) - 0.5) * 0.08;
+  return Math.max(0, Math.round((FBI_RATES[field] * level * (1 + trend * (year - lastYear())) * population) / 100000));
+}
+
+const statePopulation = (state) => Math.round(1000000 + unit(`pop:${state}`) * 9000000);
+const nationalPopulation = (year) => Math.round(333000000 * (1 + 0.005 * (year - 2023)));
+
+function estimateRow(key, population, year, state) {
+  const row = { year, population, ...(state ? { state_abbr: state } : {}), rape_legacy: 0, rape_revised: null, caveats: null };
+  for (const f of Object.keys(FBI_RATES)) if (f !== 'arson') row[f] = fakeCount(key, f, population, year);
+  return row;
+}
+
+const years = (since, until) => Array.from({ length: Math.max(0, Math.min(until, lastYear()) - since + 1) }, (_, i) => since + i);
+
+function fakeFbi(url) {
+  const p = url.pathname.replace(/^\/crime\/fbi\/sapi\/api/, '');
+  const q = url.searchParams;
+  const page = (results) => ({ json: { pagination: { count: results.length, page: 1, pages: 1, per_page: results.length }, results } });
+  const agencyByOri = (ori) => fakeAgencies(ori.slice(0, 2)).find(a => a.ori === ori) || null;
+  let m;
+  if (p === '/agencies/byStateAbbr') return page(+q.get('page') > 1 ? [] : fakeAgencies(String(q.get('stateAbbr')).toUpperCase()));
+  if (p === '/participation/agencies') {
+    const a = agencyByOri(q.get('agency_ori') || '');
+    return page(a ? years(lastYear() - 19, lastYear()).map(year => ({ year, agency_ori: a.ori, agency_name: a.agency_name, state_abbr: a.state_abbr, months_reported: 12 })) : []);
+  }
+  if ((m = p.match(/^\/summarized\/agencies\/(\w+)\/([\w-]+)\/offense\/(\d+)\/(\d+)$/))) {
+    const a = agencyByOri(m[1]);
+    const field = SUMMARIZED_OFFENSES[m[2]];
+    if (!a || !field) return { status: 404, json: { error: 'Not found' } };
+    return page(years(+m[3], +m[4]).map(y => ({ ori: a.ori, data_year: y, offense: m[2], state_abbr: a.state_abbr, actual: fakeCount(a.ori, field, a.population, y), cleared: null })));
+  }
+  if ((m = p.match(/^\/estimates\/states\/([A-Z]{2})\/(\d+)\/(\d+)$/))) {
+    return page(years(+m[2], +m[3]).map(y => estimateRow(m[1], statePopulation(m[1]), y, m[1])));
+  }
+  if (p === '/estimates/national') return page(years(lastYear() - 19, lastYear()).map(y => estimateRow('US', nationalPopulation(y), y)));
+  if ((m = p.match(/^\/offenses\/count\/states\/([A-Z]{2})\/(\w+)$/))) {
+    const names = NIBRS_NAMES[m[2]] || ['Other'];
+    const base = statePopulation(m[1]) / 100;
+    return page(years(lastYear() - 2, lastYear()).flatMap(y => names.map((n, i) => ({ year: String(y), count: Math.round((base / (i + 1)) * (0.8 + unit(`${m[1]}:${n}:${y}`) * 0.4)), [m[2]]: n }))));
+  }
+  if ((m = p.match(/^\/agencies\/count\/(\w+)\/offenses$/))) {
+    const a = agencyByOri(m[1]);
+    if (!a) return page([]);
+    return page(years(lastYear() - 2, lastYear()).flatMap(y => AGENCY_OFFENSES.map(([name, classification, field]) => {
+      const actual = fakeCount(a.ori, field, a.population, y);
+      return { year: y, ori: a.ori, pub_agency_name: a.agency_name, state_postal_abbr: a.state_abbr, offense_name: name, classification, reported: actual, actual, unfounded: 0, cleared: Math.round(actual * 0.2), juvenile_cleared: 0 };
+    })));
+  }
+  return { status: 404, json: { error: 'Not found' } };
+}
+
+// ---------------- Zillow ---------------- //
+
+// Wide ZHVI CSV (ZIP and metro rows, last 60 month-ends) for any zillowstatic.com download
+function fakeZillow(url) {
+  if (!/\.csv$/i.test(url.pathname)) return null;
+  const now = new Date();
+  const months = Array.from({ length: 60 }, (_, i) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 59 + i, 0)).toISOString().slice(0, 10));
+  const regions = [
+    ...FAKE_PLACES.map(p => ({ name: p.zip, type: 'zip', place: p })),
+    ...[...new Map(FAKE_PLACES.map(p => [p.metro, p])).values()].map(p => ({ name: p.metro, type: 'msa', place: p }))
+  ];
+  const quote = (v) => (/[",]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = [['RegionID', 'SizeRank', 'RegionName', 'RegionType', 'StateName', 'State', 'City', 'Metro', 'CountyName', ...months].join(',')];
+  regions.forEach((r, i) => {
+    const start = 300000 + unit(`zhvi:${r.name}`) * 600000;
+    const growth = 0.02 + unit(`growth:${r.name}`) * 0.05;
+    const values = months.map((_, m) => (start * (1 + growth) ** (m / 12) * (1 + 0.01 * Math.sin((m / 12) * 2 * Math.PI))).toFixed(2));
+    lines.push([90000 + i, i + 1, r.name, r.type === 'zip' ? 'zip' : 'msa', r.place.state, r.place.state, r.type === 'zip' ? r.place.city : '', r.place.metro, r.type === 'zip' ? r.place.county : '', ...values].map(v => quote(String(v))).join(','));
+  });
+  return { text: `${lines.join('\n')}\n`, contentType: 'text/csv' };
+}
+
+const FAKES = { gemini: fakeGemini, google_maps: fakeGoogleMaps, census: fakeCensus, fbi: fakeFbi, zillow: fakeZillow };
+
+module.exports = { FAKES, FAKE_PLACES, FAKE_ZHVI_URL };
@@ -0,0 +1,133 @@
+// FBI Crime Data API client (api.usa.gov/crime/fbi/sapi/api).
+// The API has accepted the key in different places over time, so the first request probes the auth variants and the
+// one that works is remembered (and re-probed only if it starts returning 401/403). Requests run under the shared
+// FBI limiter with a timeout each, retry with exponential backoff on 429 / 5xx / network errors, and successful
+// JSON is cached persistently per endpoint. Cache sections: `fbi_published` (every year in the path is at least two
+// years old – published UCR data barely changes), `fbi_recent` (covers a recent year) and `fbi_meta` (no year).
+
+const FBI_BASE = 'https://api.usa.gov/crime/fbi/sapi/api';
+
+const AUTH_VARIANTS = [
+  { name: 'header:X-API-Key', header: 'X-API-Key' },
+  { name: 'header:X-Api-Key', header: 'X-Api-Key' },
+  { name: 'query:api_key', param: 'api_key' },
+  { name: 'query:API_KEY', param: 'API_KEY' },
+  { name: 'query:apikey', param: 'apikey' },
+  { name: 'query:key', param: 'key' }
+];
+
+const isAuthFailure = (resp) => resp.status === 401 || resp.status === 403;
+const isRetryable = (resp) => resp.status === 429 || resp.status >= 500;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Cache section for an endpoint path, from the years it covers.
+ * @param {string} path
+ * @returns {'fbi_published'|'fbi_recent'|'fbi_meta'}
+ */
+function fbiCacheSection(path) {
+  const years = (path.split('?')[0].match(/\/(19|20)\d{2}(?=\/|$)/g) || []).map(y => +y.slice(1));
+  if (!years.length) return 'fbi_meta';
+  return Math.max(...years) <= new Date().getFullYear() - 2 ? 'fbi_published' : 'fbi_recent';
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.apiKey
+ * @param {{run:Function}} opts.limiter Shared FBI concurrency limiter (limit.js)
+ * @param {{get:Function, set:Function, stats:Function}} [opts.cache] createSectionCache() instance keyed by path
+ * @param {number} [opts.timeoutMs=15000] Per attempt
+ * @param {number} [opts.retries=2] Extra attempts after a retryable failure
+ * @param {Function} [opts.fetchFn=fetch]
+ */
+function createFbiClient({ apiKey, limiter, cache = null, timeoutMs = 15000, retries = 2, fetchFn = fetch }) {
+  let auth = null; // remembered working variant
+  let probing = null; // in-flight probe, so concurrent first requests don't all walk the variants
+  const inflight = new Map(); // path -> promise
+  const counts = { requests: 0, retries: 0, failures: 0, cache_hits: 0, auth_probes: 0 };
+
+  function attempt(path, variant) {
+    const [p, query] = path.split('?');
+    const params = new URLSearchParams(query || '');
+    if (variant.param) params.set(variant.param, apiKey);
+    const headers = variant.header ? { [variant.header]: apiKey } : {};
+    return limiter.run(() => {
+      counts.requests++;
+      return fetchFn(`${FBI_BASE}${p}?${params.toString()}`, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    });
+  }
+
+  async function withRetry(path, variant) {
+    for (let i = 0; ; i++) {
+      let resp = null; let error = null;
+      try { resp = await attempt(path, variant); } catch (e) { error = e; }
+      if (resp && !isRetryable(resp)) return resp;
+      if (i >= retries) {
+        counts.failures++;
+        if (resp) return resp;
+        throw new Error(`FBI API ${path.split('?')[0]} failed: ${error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message}`);
+      }
+      counts.retries++;
+      const retryAfter = resp ? parseFloat(resp.headers.get('retry-after')) : NaN;
+      await sleep(Number.isFinite(retryAfter) ? Math.min(10000, retryAfter * 1000) : 500 * 2 ** i + Math.random() * 250);
+    }
+  }
+
+  async function probe(path) {
+    counts.auth_probes++;
+    let last = null;
+    for (const v of AUTH_VARIANTS) {
+      last = await withRetry(path, v);
+      if (!isAuthFailure(last)) {
+        if (auth?.name !== v.name) console.log(`FBI API auth variant: ${v.name}`);
+        auth = v;
+        return last;
+      }
+    }
+    return last; // every variant rejected: the key itself is bad
+  }
+
+  async function send(path) {
+    if (!auth && probing) await probing.catch(() => {});
+    if (auth) {
+      const resp = await withRetry(path, auth);
+      if (!isAuthFailure(resp)) return resp;
+      auth = null; // key or API changed: probe again
+    }
+    const p = probe(path);
+    probing = p;
+    try { return await p; } finally { if (probing === p) probing = null; }
+  }
+
+  async function load(path) {
+    const section = fbiCacheSection(path);
+    const hit = cache?.get(path, section);
+    if (hit) { counts.cache_hits++; return hit.value; }
+    const resp = await send(path);
+    if (!resp.ok) {
+      const err = new Error(`FBI API ${path.split('?')[0]} returned ${resp.status}`);
+      err.status = resp.status;
+      throw err;
+    }
+    const json = await resp.json();
+    cache?.set(path, section, json);
+    return json;
+  }
+
+  return {
+    /**
+     * GET an endpoint as JSON (cached). Throws with `.status` set on a non-2xx response.
+     * @param {string} path API path beginning with '/', optional query string
+     * @returns {Promise<object>}
+     */
+    get(path) {
+      if (!inflight.has(path)) inflight.set(path, load(path).finally(() => inflight.delete(path)));
+      return inflight.get(path);
+    },
+    describe() {
+      return { auth_variant: auth?.name || null, timeout_ms: timeoutMs, retries, counts, cache: cache ? cache.stats() : null };
+    }
+  };
+}
+
+module.exports = { createFbiClient, fbiCacheSection, AUTH_VARIANTS, FBI_BASE };
@@ -0,0 +1,242 @@
+// One geocoder for the whole server: address -> coordinates + structured components.
+// Backends are tried in order until one answers; results are cached persistently (normalized address key).
+// Every backend exposes { name, geocode(query) -> Promise<result|null> } and may add enrich(result) to fill gaps
+// (e.g. county FIPS) in another backend's answer. Result shape:
+//   { query, formatted_address, lat, lng, street, city, county, state, zip, fips: { state, county }, precision, source }
+// precision: rooftop | street | zip | city | approximate
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine } = require('./csv');
+const { findState } = require('./states');
+const { parseAddress } = require('./address');
+
+/**
+ * Fill derivable fields (state abbreviation + state FIPS) and defaults on a backend answer.
+ */
+function normalizeResult(query, r, source) {
+  const st = findState(r.state);
+  const countyFips = r.fips?.county ? String(r.fips.county).padStart(5, '0') : null;
+  return {
+    query,
+    formatted_address: r.formatted_address || null,
+    lat: r.lat,
+    lng: r.lng,
+    street: r.street || null,
+    city: r.city || null,
+    county: r.county || null,
+    state: st ? st.abbr : (r.state || null),
+    zip: r.zip || null,
+    fips: { state: st ? st.fips : (r.fips?.state || null), county: countyFips },
+    precision: r.precision || 'approximate',
+    source
+  };
+}
+
+// Gazetteer city keys follow the canonical address form (upper case, no periods, "SAINT" -> "ST")
+const cityKey = (city, state) => `${String(city).toUpperCase().replace(/\./g, '').replace(/^SAINT /, 'ST ')}|${state}`;
+
+// ---------------- Backends ---------------- //
+
+/**
+ * Google Geocoding API.
+ * @param {{apiKey:string, fetchFn?:(url:string)=>Promise<Response>}} opts
+ */
+function createGoogleBackend({ apiKey, fetchFn = fetch }) {
+  const PRECISION = { ROOFTOP: 'rooftop', RANGE_INTERPOLATED: 'street', GEOMETRIC_CENTER: 'approximate', APPROXIMATE: 'approximate' };
+  return {
+    name: 'google',
+    async geocode(query) {
+      const resp = await fetchFn(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&key=${apiKey}`);
+      if (!resp.ok) throw new Error(`Google geocoding HTTP ${resp.status}`);
+      const j = await resp.json();
+      if (j.status && j.status !== 'OK' && j.status !== 'ZERO_RESULTS') throw new Error(`Google geocoding ${j.status}${j.error_message ? `: ${j.error_message}` : ''}`);
+      const top = j.results?.[0];
+      if (!top) return null;
+      const comp = top.address_components || [];
+      const get = (...types) => { for (const t of types) { const c = comp.find(x => x.types.includes(t)); if (c) return c; } return null; };
+      const types = top.types || [];
+      return {
+        formatted_address: top.formatted_address,
+        lat: top.geometry.location.lat,
+        lng: top.geometry.location.lng,
+        street: [get('street_number')?.long_name, get('route')?.long_name].filter(Boolean).join(' ') || null,
+        city: (get('locality', 'postal_town', 'administrative_area_level_3', 'sublocality'))?.long_name || null,
+        county: get('administrative_area_level_2')?.long_name || null,
+        state: get('administrative_area_level_1')?.short_name || null,
+        zip: get('postal_code')?.long_name || null,
+        precision: types.includes('postal_code') ? 'zip' : types.includes('locality') ? 'city' : PRECISION[top.geometry.location_type] || 'approximate'
+      };
+    }
+  };
+}
+
+/**
+ * US Census Bureau geocoder (no key; street addresses only; returns county FIPS directly).
+ * @param {{fetchFn?:(url:string)=>Promise<Response>}} [opts]
+ */
+function createCensusBackend({ fetchFn = fetch } = {}) {
+  return {
+    name: 'census',
+    async geocode(query) {
+      const url = `https://geocoding.geo.census.gov/geocoder/geographies/onelineaddress?address=${encodeURIComponent(query)}&benchmark=Public_AR_Current&vintage=Current_Current&layers=Counties&format=json`;
+      const resp = await fetchFn(url);
+      if (!resp.ok) throw new Error(`Census geocoding HTTP ${resp.status}`);
+      const m = (await resp.json())?.result?.addressMatches?.[0];
+      if (!m) return null;
+      const a = m.addressComponents || {};
+      const county = m.geographies?.Counties?.[0];
+      return {
+        formatted_address: m.matchedAddress,
+        lat: m.coordinates.y,
+        lng: m.coordinates.x,
+        street: [a.fromAddress, a.preDirection, a.streetName, a.suffixType, a.suffixDirection].filter(Boolean).join(' ') || null,
+        city: a.city || null,
+        county: county?.NAME || null,
+        state: a.state || null,
+        zip: a.zip || null,
+        fips: { state: county?.STATE || null, county: county?.GEOID || null },
+        precision: 'street'
+      };
+    }
+  };
+}
+
+const GAZETTEER_COLUMNS = {
+  zip: /^(zip|zipcode|zip_code|zcta|zcta5|postal_code|geoid)$/i, // GEOID = ZCTA in the Census ZCTA gazetteer
+  city: /^(city|place|place_name|primary_city)$/i,
+  state: /^(state|usps|state_abbr|state_code|stusps)$/i,
+  county: /^(county|county_name)$/i,
+  county_fips: /^(county_fips|countyfp|county_geoid|fips)$/i,
+  lat: /^(lat|latitude|intptlat)$/i,
+  lng: /^(lng|lon|long|longitude|intptlong)$/i
+};
+
+/**
+ * Offline backend over a local gazetteer file (comma- or tab-delimited, header row). Recognized columns:
+ * zip, city, state, county, county_fips (5-digit), lat, lng (Census Gazetteer names like INTPTLAT/INTPTLONG/USPS work too).
+ * Answers at ZIP precision when the query has a known ZIP, else at city precision for "City, ST".
+ * @param {{file:string}} opts
+ */
+function createGazetteerBackend({ file }) {
+  let index = null; // { zips: Map, cities: Map, counties: Map("COUNTY|ST" -> fips) }
+  let loading = null;
+
+  async function load() {
+    const text = await fs.promises.readFile(path.resolve(file), 'utf8');
+    const lines = text.split(/\r?\n/).filter(l => l.trim().length);
+    const split = lines[0].includes('\t') ? (l) => l.split('\t') : parseCsvLine;
+    const header = split(lines[0]).map(h => h.trim());
+    const col = Object.fromEntries(Object.entries(GAZETTEER_COLUMNS).map(([k, re]) => [k, header.findIndex(h => re.test(h))]));
+    if (col.lat < 0 || col.lng < 0 || (col.zip < 0 && col.city < 0)) throw new Error(`Gazetteer ${file} needs lat/lng and zip or city columns`);
+    const zips = new Map(); const cities = new Map(); const counties = new Map();
+    for (let i = 1; i < lines.length; i++) {
+      const row = split(lines[i]).map(v => v.trim());
+      const v = (k) => (col[k] >= 0 ? row[col[k]] || null : null);
+      const lat = parseFloat(v('lat')); const lng = parseFloat(v('lng'));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      const st = findState(v('state'));
+      const entry = { lat, lng, city: v('city'), state: st ? st.abbr : v('state'), county: v('county'), county_fips: v('county_fips'), zip: v('zip') };
+      if (entry.zip) zips.set(entry.zip.padStart(5, '0'), entry);
+      if (entry.city && entry.state) {
+        const k = cityKey(entry.city, entry.state);
+        if (!cities.has(k)) cities.set(k, entry);
+      }
+      if (entry.county && entry.state && entry.county_fips) counties.set(`${entry.county.toUpperCase()}|${entry.state}`, entry.county_fips);
+    }
+    index = { zips, cities, counties };
+    console.log(`Loaded gazetteer ${file} -> ZIPs: ${zips.size}, cities: ${cities.size}, counties: ${counties.size}`);
+    return index;
+  }
+  const ready = () => index || loading || (loading = load().catch(e => { loading = null; throw e; }));
+
+  return {
+    name: 'gazetteer',
+    async geocode(query) {
+      const { zips, cities } = await ready();
+      const { zip, city, state } = parseAddress(query);
+      const byZip = zip && zips.get(zip);
+      const byCity = city && state && cities.get(cityKey(city, state));
+      const e = byZip || byCity;
+      if (!e) return null;
+      return {
+        lat: e.lat, lng: e.lng,
+        city: byZip ? (e.city || city) : e.city,
+        county: e.county, state: e.state || state, zip: byZip ? zip : null,
+        fips: { county: e.county_fips },
+        precision: byZip ? 'zip' : 'city'
+      };
+    },
+    // Fill county / county FIPS on another backend's answer
+    async enrich(result) {
+      const { zips, counties } = await ready();
+      if (!result.county && result.zip && zips.get(result.zip)?.county) result.county = zips.get(result.zip).county;
+      if (!result.fips.county && result.county && result.state) {
+        const fips = counties.get(`${result.county.toUpperCase()}|${result.state}`) || (result.zip && zips.get(result.zip)?.county_fips);
+        if (fips) result.fips.county = String(fips).padStart(5, '0');
+      }
+    }
+  };
+}
+
+// ---------------- Geocoder ---------------- //
+
+/**
+ * @param {object} opts
+ * @param {object[]} opts.backends Tried in order
+ * @param {{get:Function, set:Function, stats:Function}} opts.cache createSectionCache() instance
+ */
+function createGeocoder({ backends, cache }) {
+  const inflight = new Map(); // normalized query -> promise (one upstream call per address at a time)
+  const counts = Object.fromEntries(backends.map(b => [b.name, { calls: 0, found: 0, errors: 0 }]));
+  const version = backends.map(b => b.name).join(',');
+
+  async function resolve(query) {
+    for (const b of backends) {
+      counts[b.name].calls++;
+      let r;
+      try {
+        r = await b.geocode(query);
+      } catch (e) {
+        counts[b.name].errors++;
+        console.warn(`Geocoding backend ${b.name} failed for "${query}":`, e.message);
+        continue;
+      }
+      if (!r) continue;
+      counts[b.name].found++;
+      const result = normalizeResult(query, r, b.name);
+      for (const other of backends) {
+        if (other === b || !other.enrich) continue;
+        try { await other.enrich(result); } catch (e) { console.warn(`Geocoding enrich via ${other.name} failed:`, e.message); }
+      }
+      return result;
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Geocode an address or place ("City, ST").
+     * @param {string} query
+     * @returns {Promise<object|null>} null when no backend found it
+     */
+    async geocode(query) {
+      const q = String(query || '').trim();
+      if (!q || !backends.length) return null;
+      const hit = cache.get(q, 'geocode', { version });
+      if (hit) return hit.value;
+      const k = q.toLowerCase();
+      if (!inflight.has(k)) {
+        inflight.set(k, resolve(q).then(result => {
+          if (result) cache.set(q, 'geocode', result, { version });
+          return result;
+        }).finally(() => inflight.delete(k)));
+      }
+      return inflight.get(k);
+    },
+    describe() {
+      return { backends: backends.map(b => b.name), counts, cache: cache.stats() };
+    }
+  };
+}
+
+module.exports = { createGeocoder, createGoogleBackend, createCensusBackend, createGazetteerBackend };
@@ -0,0 +1,170 @@
+// Batch lookup jobs: a list of addresses processed in the background with bounded concurrency.
+// Each job is persisted as data/jobs/<id>.json so queued/running jobs resume after a restart: written when it is
+// created and completes, and at most once per saveDelayMs while items finish (a restart redoes at most those items).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLimiter } = require('./limit');
+const { readCsvRows } = require('./csv');
+
+/**
+ * Create the batch job manager.
+ * @param {object} opts
+ * @param {string} opts.dir Directory holding one JSON file per job
+ * @param {number} opts.concurrency Addresses processed at once (across all jobs)
+ * @param {(address:string, sections:string[]|null)=>Promise<object>} opts.runItem Builds one report
+ * @param {number} [opts.saveDelayMs=2000] Throttle for progress writes
+ */
+function createBatchJobs({ dir, concurrency, runItem, saveDelayMs = 2000 }) {
+  const jobs = new Map(); // id -> job
+  const limiter = createLimiter(concurrency);
+  const saveTimers = new Map(); // id -> pending progress write
+
+  function save(job) {
+    clearTimeout(saveTimers.get(job.id));
+    saveTimers.delete(job.id);
+    job.updated_at = new Date().toISOString();
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${job.id}.json`);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(job));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.warn(`Failed to persist batch job ${job.id}:`, e.message);
+    }
+  }
+  const scheduleSave = (job) => { if (!saveTimers.has(job.id)) saveTimers.set(job.id, setTimeout(() => save(job), saveDelayMs)); };
+
+  function progress(job) {
+    const done = job.items.filter(i => i.status === 'done').length;
+    const failed = job.items.filter(i => i.status === 'failed').length;
+    return { total: job.items.length, done, failed, pending: job.items.length - done - failed };
+  }
+
+  async function processItem(job, item) {
+    item.status = 'running';
+    item.started_at = new Date().toISOString();
+    if (job.status === 'queued') job.status = 'running';
+    try {
+      item.result = await runItem(item.address, job.sections);
+      item.status = 'done';
+    } catch (e) {
+      item.status = 'failed';
+      item.error = e.message || String(e);
+    }
+    item.finished_at = new Date().toISOString();
+    if (!progress(job).pending) {
+      job.status = 'completed';
+      job.completed_at = item.finished_at;
+      console.log(`Batch job ${job.id} completed (${job.items.length} addresses)`);
+      save(job);
+    } else {
+      scheduleSave(job);
+    }
+  }
+
+  function enqueue(job) {
+    job.items
+      .filter(i => i.status === 'queued' || i.status === 'running')
+      .forEach(item => { item.status = 'queued'; limiter.run(() => processItem(job, item)); });
+  }
+
+  return {
+    /**
+     * Queue a new job.
+     * @param {string[]} addresses
+     * @param {string[]|null} sections
+     */
+    create(addresses, sections) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        sections,
+        created_at: new Date().toISOString(),
+        items: addresses.map(address => ({ address, status: 'queued' }))
+      };
+      jobs.set(job.id, job);
+      save(job);
+      enqueue(job);
+      return job;
+    },
+    get: (id) => jobs.get(id) || null,
+    list: () => Array.from(jobs.values()).sort((a, b) => b.created_at.localeCompare(a.created_at)),
+    /** Job metadata + progress (without per-address results). */
+    summarize(job) {
+      const { items, ...meta } = job;
+      return { ...meta, progress: progress(job), items: items.map(i => ({ address: i.address, status: i.status, error: i.error })) };
+    },
+    /** Load persisted jobs and re-queue anything that hadn't finished. */
+    resume() {
+      if (!fs.existsSync(dir)) return;
+      for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+          const job = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          jobs.set(job.id, job);
+          if (job.status !== 'completed') {
+            console.log(`Resuming batch job ${job.id} (${progress(job).pending} addresses pending)`);
+            enqueue(job);
+          }
+        } catch (e) {
+          console.warn(`Skipping unreadable batch job file ${f}:`, e.message);
+        }
+      }
+    }
+  };
+}
+
+// ---------------- Input / output helpers ---------------- //
+
+/**
+ * Extract addresses from CSV text: uses an "address" column when there is a header, otherwise the first column.
+ * Quoted fields may contain commas and line breaks (readCsvRows).
+ * @param {string} text
+ * @returns {Promise<string[]>}
+ */
+async function addressesFromCsv(text) {
+  const rows = [];
+  for await (const row of readCsvRows([text])) rows.push(row);
+  if (!rows.length) return [];
+  const headerIdx = rows[0].findIndex(h => /^\s*(full_?)?address\s*$/i.test(h));
+  const col = headerIdx >= 0 ? headerIdx : 0;
+  return rows.slice(headerIdx >= 0 ? 1 : 0).map(r => (r[col] || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Keys that are too large / not useful as CSV columns
+const CSV_SKIP_KEYS = new Set(['series', 'yearly', 'region_options', 'seasonally_adjusted']);
+
+function flattenForCsv(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (k.startsWith('_') || CSV_SKIP_KEYS.has(k)) continue;
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (Array.isArray(v)) {
+      out[key] = v.map(x => (x && typeof x === 'object' ? x.name ?? JSON.stringify(x) : x)).join('; ');
+    } else if (v && typeof v === 'object') {
+      flattenForCsv(v, key, out);
+    } else {
+      out[key] = v;
+    }
+  }
+  return out;
+}
+
+const csvValue = (v) => {
+  if (v === undefined || v === null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Combined job results as CSV: one row per address, nested report fields flattened to dotted columns.
+ * @param {object} job
+ * @returns {string}
+ */
+function jobResultsToCsv(job) {
+  const rows = job.items.map(i => ({ address: i.address, status: i.status, error: i.error || '', ...flattenForCsv(i.result) }));
+  const columns = [];
+  rows.forEach(r => Object.keys(r).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+  return [columns.map(csvValue).join(','), ...rows.map(r => columns.map(c => csvValue(r[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = { createBatchJobs, addressesFromCsv, jobResultsToCsv };
@@ -0,0 +1,34 @@
+// Tiny promise concurrency limiter (no dependency): at most `max` tasks run at once, the rest wait FIFO.
+
+/**
+ * @param {number} max Maximum concurrent tasks (>= 1)
+ * @returns {{ run: <T>(task: () => Promise<T>) => Promise<T>, active: () => number, queued: () => number }}
+ */
+function createLimiter(max) {
+  const limit = Math.max(1, max | 0);
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= limit || !waiting.length) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => { active--; next(); });
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+    active: () => active,
+    queued: () => waiting.length
+  };
+}
+
+module.exports = { createLimiter };
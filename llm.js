@@ -0,0 +1,226 @@
+// Pluggable LLM provider layer.
+// Every provider exposes the same interface:
+//   generate(prompt, { json, meta }) -> Promise<{ text, usage }>
+// where `json` asks for JSON-mode output when the backend supports it and `usage` is
+// { prompt_tokens, completion_tokens, total_tokens } (nulls when the backend doesn't report it).
+// Provider + model are chosen from config.llm (LLM_* env vars), optionally per section.
+// HTTP goes through global fetch, or the upstream record/replay layer once useUpstream() is called.
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createLimiter } = require('./limit');
+
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+let upstream = null;
+const httpFetch = (url, init) => (upstream ? upstream.fetch(url, init) : fetch(url, init));
+
+const DEFAULT_MODELS = { gemini: 'gemini-1.5-flash', openai: 'gpt-4o-mini', fixture: 'properties.json' };
+
+/**
+ * LLM settings from config.llm, with the LLM_SECTION_MODELS overrides applied on top of llm.sections.
+ * LLM_SECTION_MODELS format: "schools=openai:llama3,broadband=fixture".
+ */
+function llmSettings() {
+  const cfg = config.llm;
+  const sections = { ...cfg.sections };
+  (cfg.sectionModels || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const [section, spec] = entry.split('=');
+    if (!section || !spec) return;
+    const [provider, model] = spec.split(':');
+    sections[section.trim().toLowerCase()] = { provider: provider.trim(), model: model ? model.trim() : undefined };
+  });
+  return { provider: cfg.provider, model: cfg.model, openai: cfg.openai, fixture: cfg.fixture, timeoutMs: cfg.timeoutMs, sections };
+}
+
+// ---------------- Adapters ---------------- //
+
+// A request aborted by its timeout signal -> readable error (other failures pass through)
+const timeoutError = (what, e, timeoutMs) => (e.name === 'TimeoutError' ? new Error(`${what} request timed out after ${timeoutMs}ms`) : e);
+
+function createGeminiProvider({ model, timeoutMs }) {
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { json = false } = {}) {
+      const apiKey = upstream ? upstream.apiKey('gemini', config.geminiApiKey) : config.geminiApiKey;
+      if (!apiKey) throw new Error('Gemini API key not configured. Set GEMINI_API_KEY in .env');
+      const resp = await httpFetch(`${GEMINI_BASE}/models/${model}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify({
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      }).catch(e => { throw timeoutError('Gemini', e, timeoutMs); });
+      if (!resp.ok) throw new Error(`Gemini API request failed (${resp.status}): ${(await resp.text()).slice(0, 300)}`);
+      const j = await resp.json();
+      const candidate = j.candidates?.[0];
+      if (!candidate) throw new Error(`Gemini returned no candidates${j.promptFeedback?.blockReason ? ` (blocked: ${j.promptFeedback.blockReason})` : ''}`);
+      const u = j.usageMetadata || {};
+      return {
+        text: (candidate.content?.parts || []).map(p => p.text || '').join(''),
+        usage: { prompt_tokens: u.promptTokenCount ?? null, completion_tokens: u.candidatesTokenCount ?? null, total_tokens: u.totalTokenCount ?? null }
+      };
+    }
+  };
+}
+
+// Any server speaking the OpenAI chat completions API (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+function createOpenAiProvider({ model, baseUrl, apiKey, timeoutMs }) {
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { json = false } = {}) {
+      if (!baseUrl) throw new Error('OpenAI-compatible base URL not configured. Set OPENAI_BASE_URL in .env');
+      const resp = await httpFetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.2,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      }).catch(e => { throw timeoutError('OpenAI-compatible API', e, timeoutMs); });
+      if (!resp.ok) throw new Error(`OpenAI-compatible API request failed (${resp.status}): ${(await resp.text()).slice(0, 300)}`);
+      const j = await resp.json();
+      const u = j.usage || {};
+      return {
+        text: j.choices?.[0]?.message?.content || '',
+        usage: { prompt_tokens: u.prompt_tokens ?? null, completion_tokens: u.completion_tokens ?? null, total_tokens: u.total_tokens ?? null }
+      };
+    }
+  };
+}
+
+// Deterministic offline provider: answers with the fixture JSON (properties.json by default) for the requested address.
+function createFixtureProvider({ model, fixturePath }) {
+  return {
+    name: 'fixture',
+    model,
+    async generate(prompt, { meta = {} } = {}) {
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      if (meta.address) fixture.address = meta.address;
+      return { text: JSON.stringify(fixture), usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    }
+  };
+}
+
+const ADAPTERS = {
+  gemini: (s, model) => createGeminiProvider({ model, timeoutMs: s.timeoutMs }),
+  openai: (s, model) => createOpenAiProvider({ model, baseUrl: s.openai.baseUrl, apiKey: s.openai.apiKey, timeoutMs: s.timeoutMs }),
+  fixture: (s, model) => createFixtureProvider({ model, fixturePath: path.resolve(s.fixture.path) })
+};
+
+// ---------------- Usage hooks ---------------- //
+
+const usageListeners = [];
+const usageTotals = {}; // "provider:model" -> { calls, prompt_tokens, completion_tokens, total_tokens }
+
+/**
+ * Register a listener called after every generation with
+ * { provider, model, section, prompt_tokens, completion_tokens, total_tokens, ms }.
+ * @param {Function} listener
+ */
+function onUsage(listener) {
+  usageListeners.push(listener);
+}
+
+function recordUsage(provider, section, usage, ms) {
+  const k = `${provider.name}:${provider.model}`;
+  const t = usageTotals[k] || (usageTotals[k] = { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  t.calls++;
+  t.prompt_tokens += usage.prompt_tokens || 0;
+  t.completion_tokens += usage.completion_tokens || 0;
+  t.total_tokens += usage.total_tokens || 0;
+  const event = { provider: provider.name, model: provider.model, section, ...usage, ms };
+  for (const l of usageListeners) {
+    try { l(event); } catch (e) { console.warn('LLM usage listener failed:', e.message); }
+  }
+}
+
+// ---------------- Provider selection ---------------- //
+
+const providerCache = new Map();
+// Bounded concurrency across all providers (interactive lookups + batch jobs)
+const llmLimit = createLimiter(config.concurrency.llm);
+
+/**
+ * Return the provider configured for a section (falls back to the default provider/model).
+ * The returned provider's generate() is concurrency-limited and reports token usage to the onUsage listeners.
+ * @param {string} [section]
+ */
+function getProvider(section) {
+  const s = llmSettings();
+  const override = (section && s.sections[section]) || {};
+  const name = override.provider || s.provider;
+  if (!ADAPTERS[name]) throw new Error(`Unknown LLM provider "${name}" (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+  const model = override.model || (override.provider ? null : s.model) || DEFAULT_MODELS[name];
+  const k = `${name}:${model}`;
+  if (!providerCache.has(k)) providerCache.set(k, ADAPTERS[name](s, model));
+  const provider = providerCache.get(k);
+  return {
+    name: provider.name,
+    model: provider.model,
+    async generate(prompt, opts = {}) {
+      return llmLimit.run(async () => {
+        const started = Date.now();
+        const out = await provider.generate(prompt, opts);
+        recordUsage(provider, section || null, out.usage || {}, Date.now() - started);
+        return out;
+      });
+    }
+  };
+}
+
+/**
+ * Send provider HTTP calls through the upstream layer (record / replay / fake, see upstream.js).
+ * @param {{fetch:Function, apiKey:(provider:string, key:string)=>string}} u createUpstream() instance
+ */
+function useUpstream(u) {
+  upstream = u;
+}
+
+/**
+ * Cheap check that the default provider is usable without generating anything: Gemini looks up the model (free,
+ * validates the key), OpenAI-compatible servers list their models, the fixture provider parses its file.
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=10000]
+ * @returns {Promise<string>} What was verified
+ * @throws {Error} When the provider is misconfigured or rejects the request
+ */
+async function checkProvider({ timeoutMs = 10000 } = {}) {
+  const s = llmSettings();
+  const model = s.model || DEFAULT_MODELS[s.provider];
+  if (s.provider === 'fixture') {
+    JSON.parse(fs.readFileSync(path.resolve(s.fixture.path), 'utf8'));
+    return `fixture ${s.fixture.path} readable`;
+  }
+  let resp;
+  if (s.provider === 'gemini') {
+    const apiKey = upstream ? upstream.apiKey('gemini', config.geminiApiKey) : config.geminiApiKey;
+    if (!apiKey) throw new Error('Gemini API key not configured. Set GEMINI_API_KEY in .env');
+    resp = await httpFetch(`${GEMINI_BASE}/models/${model}`, { headers: { 'x-goog-api-key': apiKey }, signal: AbortSignal.timeout(timeoutMs) });
+  } else {
+    if (!s.openai.baseUrl) throw new Error('OpenAI-compatible base URL not configured. Set OPENAI_BASE_URL in .env');
+    resp = await httpFetch(`${s.openai.baseUrl.replace(/\/+$/, '')}/models`, {
+      headers: s.openai.apiKey ? { Authorization: `Bearer ${s.openai.apiKey}` } : {},
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  }
+  if (!resp.ok) throw new Error(`${s.provider} model lookup failed (${resp.status}): ${(await resp.text()).slice(0, 200)}`);
+  const j = await resp.json();
+  if (s.provider === 'openai' && Array.isArray(j.data) && !j.data.some(m => m.id === model)) throw new Error(`model ${model} not served (${j.data.length} models available)`);
+  return `${s.provider} model ${model} available`;
+}
+
+/** Summary of the active configuration and accumulated token usage. */
+function describeLlm() {
+  const s = llmSettings();
+  return { provider: s.provider, model: s.model || DEFAULT_MODELS[s.provider] || null, sections: s.sections, usage: usageTotals };
+}
+
+module.exports = { getProvider, onUsage, describeLlm, checkProvider, useUpstream };
@@ -0,0 +1,171 @@
+// Offline metro locator keyed to Zillow RegionName ("Seattle, WA"): which metro contains a point and which is nearest,
+// answered from a 1-degree grid index without any geocoding calls.
+// Centroids come from a CSV (RegionName, lat, lng, radius_miles – the bundled data/metro_centroids.csv covers every Zillow
+// metro with the principal city and the CBSA's equal-area radius as an approximate boundary; regenerate it with
+// build-metro-centroids.js). An optional GeoJSON of CBSA polygons replaces the circles for containment; features are
+// keyed by a RegionName property or by the CBSA NAME ("Seattle-Tacoma-Bellevue, WA").
+const fs = require('fs');
+const { parseCsvLine } = require('./csv');
+
+const MILES_PER_DEG = 69.05;
+
+function haversineMiles(a, b) {
+  if (!a || !b) return Infinity;
+  const R = 3958.8; // miles
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const la1 = toRad(a.lat);
+  const la2 = toRad(b.lat);
+  const h = Math.sin(dLat/2)**2 + Math.cos(la1)*Math.cos(la2)*Math.sin(dLng/2)**2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// "Seattle-Tacoma-Bellevue, WA" / "Philadelphia-Camden-Wilmington, PA-NJ-DE-MD" -> "SEATTLE, WA" / "PHILADELPHIA, PA"
+function regionNameFromCbsa(name) {
+  const [cities, states] = String(name || '').split(',');
+  if (!cities || !states) return null;
+  return `${cities.split('-')[0].trim()}, ${states.trim().split(/[-\s]/)[0]}`.toUpperCase();
+}
+
+// Ray casting over GeoJSON rings ([lng, lat] pairs); holes are the rings after the first
+function inRing(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]; const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+function inPolygons(polygons, lng, lat) {
+  return polygons.some(rings => inRing(rings[0], lng, lat) && !rings.slice(1).some(h => inRing(h, lng, lat)));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.centroidsFile CSV with RegionName, lat, lng[, radius_miles]
+ * @param {string} [opts.boundariesFile] GeoJSON FeatureCollection of metro polygons
+ * @param {number} [opts.defaultRadiusMiles=25] Boundary radius for rows without radius_miles
+ */
+function createMetroIndex({ centroidsFile, boundariesFile, defaultRadiusMiles = 25 }) {
+  let state = null; // { metros: Map(key -> metro), centroidGrid: Map(cell -> metro[]), boundsGrid: Map(cell -> metro[]) }
+  const cell = (lat, lng) => `${Math.floor(lat)}:${Math.floor(lng)}`;
+
+  function loadCentroids(metros) {
+    if (!centroidsFile || !fs.existsSync(centroidsFile)) return;
+    const lines = fs.readFileSync(centroidsFile, 'utf8').split(/\r?\n/).filter(l => l.trim());
+    const header = parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
+    const col = (name) => header.indexOf(name);
+    for (const line of lines.slice(1)) {
+      const row = parseCsvLine(line);
+      const lat = parseFloat(row[col('lat')]); const lng = parseFloat(row[col('lng')]);
+      const key = String(row[col('regionname')] || '').trim().toUpperCase();
+      if (!key || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      metros.set(key, { key, lat, lng, radius_miles: parseFloat(row[col('radius_miles')]) || defaultRadiusMiles, polygons: null });
+    }
+  }
+
+  function loadBoundaries(metros) {
+    if (!boundariesFile) return;
+    try {
+      const geo = JSON.parse(fs.readFileSync(boundariesFile, 'utf8'));
+      for (const f of geo.features || []) {
+        const p = f.properties || {};
+        const key = p.RegionName ? String(p.RegionName).toUpperCase() : regionNameFromCbsa(p.NAME || p.name);
+        const g = f.geometry;
+        if (!key || !g) continue;
+        const polygons = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : null;
+        if (!polygons) continue;
+        let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+        for (const rings of polygons) for (const [x, y] of rings[0]) {
+          minLat = Math.min(minLat, y); maxLat = Math.max(maxLat, y); minLng = Math.min(minLng, x); maxLng = Math.max(maxLng, x);
+        }
+        const m = metros.get(key) || { key, lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2, radius_miles: null };
+        metros.set(key, { ...m, polygons, bbox: [minLat, minLng, maxLat, maxLng] });
+      }
+    } catch (e) {
+      console.warn(`Metro boundaries ${boundariesFile} unreadable, using centroid radii:`, e.message);
+    }
+  }
+
+  function ensure() {
+    if (state) return state;
+    const metros = new Map();
+    loadCentroids(metros);
+    loadBoundaries(metros);
+    const centroidGrid = new Map(); const boundsGrid = new Map();
+    const add = (grid, k, m) => { if (!grid.has(k)) grid.set(k, []); grid.get(k).push(m); };
+    for (const m of metros.values()) {
+      add(centroidGrid, cell(m.lat, m.lng), m);
+      if (!m.bbox) {
+        const dLat = m.radius_miles / MILES_PER_DEG;
+        const dLng = m.radius_miles / (MILES_PER_DEG * Math.max(0.05, Math.cos(m.lat * Math.PI / 180)));
+        m.bbox = [m.lat - dLat, m.lng - dLng, m.lat + dLat, m.lng + dLng];
+      }
+      for (let la = Math.floor(m.bbox[0]); la <= Math.floor(m.bbox[2]); la++) {
+        for (let ln = Math.floor(m.bbox[1]); ln <= Math.floor(m.bbox[3]); ln++) add(boundsGrid, `${la}:${ln}`, m);
+      }
+    }
+    state = { metros, centroidGrid, boundsGrid };
+    const withPolygons = Array.from(metros.values()).filter(m => m.polygons).length;
+    console.log(`Metro index: ${metros.size} metros (${withPolygons} with boundaries)`);
+    return state;
+  }
+
+  // Closest centroid passing `accept`, searching grid rings outward until no closer cell can exist
+  function nearest(point, accept) {
+    const { centroidGrid } = ensure();
+    const la0 = Math.floor(point.lat); const ln0 = Math.floor(point.lng);
+    let best = null; let bestMiles = Infinity;
+    for (let r = 0; r <= 90; r++) {
+      // Cells in ring r are at least (r - 1) cells away; a degree of longitude is shortest at the ring's highest latitude
+      const minCellMiles = MILES_PER_DEG * Math.max(0.05, Math.cos(Math.min(89, Math.abs(point.lat) + r + 1) * Math.PI / 180));
+      if (best && (r - 1) * minCellMiles > bestMiles) break;
+      for (let la = la0 - r; la <= la0 + r; la++) {
+        for (let ln = ln0 - r; ln <= ln0 + r; ln++) {
+          if (Math.max(Math.abs(la - la0), Math.abs(ln - ln0)) !== r) continue;
+          for (const m of centroidGrid.get(`${la}:${ln}`) || []) {
+            if (!accept(m)) continue;
+            const d = haversineMiles(point, m);
+            if (d < bestMiles) { bestMiles = d; best = m; }
+          }
+        }
+      }
+    }
+    return best ? { metro: best, miles: bestMiles } : null;
+  }
+
+  return {
+    /**
+     * Locate the metro for a point: the one whose boundary contains it (any state), else the nearest centroid
+     * (same state first when `state` is given).
+     * @param {{lat:number, lng:number}} point
+     * @param {{keys?:{has:(k:string)=>boolean}, state?:string}} [opts] keys limits results to metros present in a dataset
+     * @returns {{key:string, relation:'inside'|'near', distance_miles:number, boundary:'polygon'|'radius'}|null}
+     */
+    locate(point, { keys, state: st } = {}) {
+      if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return null;
+      const { boundsGrid } = ensure();
+      const allowed = (m) => !keys || keys.has(m.key);
+      const result = (m, relation, miles) => ({ key: m.key, relation, distance_miles: +miles.toFixed(1), boundary: m.polygons ? 'polygon' : 'radius' });
+      let inside = null;
+      for (const m of boundsGrid.get(cell(point.lat, point.lng)) || []) {
+        if (!allowed(m)) continue;
+        const miles = haversineMiles(point, m);
+        // Polygon containment beats a radius approximation; among radii the relatively closest centroid wins
+        const score = m.polygons ? (inPolygons(m.polygons, point.lng, point.lat) ? -1 : null) : (miles <= m.radius_miles ? miles / m.radius_miles : null);
+        if (score !== null && (!inside || score < inside.score)) inside = { m, miles, score };
+      }
+      if (inside) return result(inside.m, 'inside', inside.miles);
+      const near = (st && nearest(point, m => allowed(m) && m.key.endsWith(`, ${st.toUpperCase()}`))) || nearest(point, allowed);
+      return near ? result(near.metro, 'near', near.miles) : null;
+    },
+    has(key) { return ensure().metros.has(String(key).toUpperCase()); },
+    describe() {
+      const { metros } = ensure();
+      return { metros: metros.size, with_boundaries: Array.from(metros.values()).filter(m => m.polygons).length, centroids_file: centroidsFile, boundaries_file: boundariesFile || null };
+    }
+  };
+}
+
+module.exports = { createMetroIndex, haversineMiles, inPolygons };
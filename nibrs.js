@@ -0,0 +1,108 @@
+// NIBRS breakdowns behind crime.details: where offenses happen (location types) and which property crimes they are
+// (offense sub-types), shaped from the FBI count endpoints into top-N lists with shares of the total.
+// Location counts exist per state only in the API (no agency-level count route), so location types are always labelled
+// statewide; offense sub-types come from the agency when one was matched. Time of day is returned only when the
+// swagger offers an hour variable for the offense counts (the bundled one does not).
+
+const LOCATION_CATEGORIES = [
+  ['residence', /RESIDENCE|HOME|DWELLING|APARTMENT|CONDO/],
+  ['parking', /PARKING|GARAGE|DROP LOT/],
+  ['street', /HIGHWAY|ROAD|ALLEY|STREET|SIDEWALK/],
+  ['commercial', /STORE|SHOP|MALL|RESTAURANT|BAR|BANK|GAS|STATION|CONVENIENCE|COMMERCIAL|OFFICE|HOTEL|MOTEL/],
+  ['other', /./]
+];
+// NIBRS offense names counted as UCR property crime (robbery is a crime against property in NIBRS, violent in UCR)
+const PROPERTY_OFFENSES = /BURGLARY|BREAKING|LARCENY|THEFT|SHOPLIFTING|POCKET|PURSE|MOTOR VEHICLE|ARSON|VANDALISM|DESTRUCTION|DAMAGE|STOLEN PROPERTY/;
+const DETAIL_TOP_N = 8;
+// Count variables that would group offenses by time of day
+const HOUR_VARIABLE = /hour|time_of_day/i;
+
+const locationCategory = (label) => LOCATION_CATEGORIES.find(([, re]) => re.test(String(label).toUpperCase()))[0];
+
+/**
+ * Counts of one year grouped by a label field: the latest year at or before `maxYear`, top N plus "All other".
+ * @param {object[]} rows
+ * @param {string} labelField
+ * @param {string} countField
+ * @param {number} maxYear
+ * @returns {{year:number, total:number, items:{label:string, count:number, share_pct:number}[]}|null}
+ */
+function breakdown(rows, labelField, countField, maxYear) {
+  const years = [...new Set(rows.map(r => +r.year).filter(y => Number.isFinite(y) && y <= maxYear))];
+  if (!years.length) return null;
+  const year = Math.max(...years);
+  const totals = new Map();
+  for (const r of rows) {
+    const label = r[labelField];
+    const count = r[countField];
+    if (+r.year !== year || !label || !Number.isFinite(count) || count <= 0) continue;
+    totals.set(label, (totals.get(label) || 0) + count);
+  }
+  const total = [...totals.values()].reduce((s, c) => s + c, 0);
+  if (!total) return null;
+  const sorted = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+  const shown = sorted.slice(0, DETAIL_TOP_N);
+  const rest = sorted.slice(DETAIL_TOP_N).reduce((s, [, c]) => s + c, 0);
+  if (rest) shown.push(['All other', rest]);
+  return { year, total, items: shown.map(([label, count]) => ({ label, count, share_pct: +((count / total) * 100).toFixed(1) })) };
+}
+
+/**
+ * @param {object} input
+ * @param {{level:'agency'|'state', name:string, state:string}} input.scope Where the sub-type counts come from
+ * @param {object[]|null} input.locations CountForYear rows with location_name (always state-level)
+ * @param {object[]|null} input.offenses Offense rows: AgencyOffenseCounts (offense_name, actual, classification) for an
+ *   agency, CountForYear (offense_name, count) for a state
+ * @param {{variable:string|null, rows:object[]|null, checked:string[]}} input.hours State offense counts by the hour
+ *   variable (variable null when the swagger has none); `checked` lists the variables the swagger offers
+ * @param {number} input.maxYear Latest year to use (the crime headline year)
+ */
+function buildCrimeDetails({ scope, locations, offenses, hours, maxYear }) {
+  const notes = [];
+  let locationTypes = null;
+  if (locations) {
+    const b = breakdown(locations, 'location_name', 'count', maxYear);
+    if (b) {
+      const byCategory = {};
+      for (const it of b.items) {
+        const cat = it.label === 'All other' ? 'other' : locationCategory(it.label);
+        byCategory[cat] = (byCategory[cat] || 0) + it.count;
+      }
+      locationTypes = {
+        level: 'state', name: scope.state, label: `${scope.state} statewide`, ...b,
+        by_category: Object.fromEntries(LOCATION_CATEGORIES.map(([c]) => [c, { count: byCategory[c] || 0, share_pct: +(((byCategory[c] || 0) / b.total) * 100).toFixed(1) }]))
+      };
+      notes.push(scope.level === 'agency'
+        ? `Location types are ${scope.state}-wide: the API does not break them down by agency.`
+        : `Location types are ${scope.state}-wide.`);
+    }
+  }
+  let propertySubtypes = null;
+  if (offenses) {
+    const isAgency = scope.level === 'agency';
+    const property = offenses.filter(r => (isAgency && r.classification ? r.classification === 'Property' : PROPERTY_OFFENSES.test(String(r.offense_name).toUpperCase())));
+    const b = breakdown(property, 'offense_name', isAgency ? 'actual' : 'count', maxYear);
+    if (b) propertySubtypes = { level: scope.level, name: scope.name, ...b };
+  }
+  let timeOfDay;
+  if (!hours?.variable) {
+    timeOfDay = { available: false, note: `Time of day is not available: the FBI offense counts group by ${(hours?.checked || []).join(', ') || 'other variables'}, not by hour.` };
+  } else {
+    const b = hours.rows ? breakdown(hours.rows, hours.variable, 'count', maxYear) : null;
+    timeOfDay = b ? { available: true, level: 'state', name: scope.state, label: `${scope.state} statewide`, variable: hours.variable, ...b }
+      : { available: false, note: `No NIBRS ${hours.variable} counts reported for ${scope.state}.` };
+  }
+  for (const [what, v] of [['location types', locationTypes], ['property-crime sub-types', propertySubtypes]]) {
+    if (!v) notes.push(`No NIBRS ${what} reported for ${scope.name}.`);
+    else if (v.year !== maxYear) notes.push(`NIBRS ${what} are from ${v.year} (latest available).`);
+  }
+  return {
+    scope,
+    location_types: locationTypes,
+    property_subtypes: propertySubtypes,
+    time_of_day: timeOfDay,
+    notes
+  };
+}
+
+module.exports = { buildCrimeDetails, LOCATION_CATEGORIES, HOUR_VARIABLE };
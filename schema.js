@@ -0,0 +1,127 @@
+// Minimal JSON Schema (draft-07 subset) validator + repair for AI output.
+// Supports: type (string or array), enum, minimum/maximum, properties, required,
+// additionalProperties (schema or false), items, default and local "#/definitions/..." $ref.
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(schema, v) {
+  if (!schema.type) return true;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const t = typeOf(v);
+  return types.includes(t) || (t === 'integer' && types.includes('number'));
+}
+
+function resolve(schema, root) {
+  let s = schema;
+  while (s && s.$ref) {
+    const parts = s.$ref.replace(/^#\//, '').split('/');
+    s = parts.reduce((acc, p) => (acc ? acc[p] : undefined), root);
+    if (!s) throw new Error(`Unresolvable $ref ${schema.$ref}`);
+  }
+  return s || {};
+}
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : String(key));
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} [root] Root schema used to resolve $ref (defaults to schema)
+ * @returns {Array<{path:string,message:string}>} Empty when valid.
+ */
+function validate(schema, value, root = schema, path = '') {
+  const s = resolve(schema, root);
+  const errors = [];
+  if (value === undefined) return errors;
+  if (!typeMatches(s, value)) {
+    errors.push({ path, message: `expected ${[].concat(s.type).join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+  if (s.enum && !s.enum.includes(value)) errors.push({ path, message: `must be one of ${s.enum.join(', ')}` });
+  if (typeof value === 'number') {
+    if (s.minimum !== undefined && value < s.minimum) errors.push({ path, message: `must be >= ${s.minimum}` });
+    if (s.maximum !== undefined && value > s.maximum) errors.push({ path, message: `must be <= ${s.maximum}` });
+  }
+  if (Array.isArray(value) && s.items) {
+    value.forEach((item, i) => errors.push(...validate(s.items, item, root, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const props = s.properties || {};
+    for (const req of s.required || []) {
+      if (value[req] === undefined) errors.push({ path: joinPath(path, req), message: 'is required' });
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validate(props[k], v, root, joinPath(path, k)));
+      else if (s.additionalProperties === false) errors.push({ path: joinPath(path, k), message: 'is not allowed' });
+      else if (s.additionalProperties && typeof s.additionalProperties === 'object') errors.push(...validate(s.additionalProperties, v, root, joinPath(path, k)));
+    }
+  }
+  return errors;
+}
+
+// Best-effort coercion of a wrong-typed value into the schema's type. Returns undefined when not possible.
+function coerce(s, v) {
+  const types = [].concat(s.type || []);
+  if ((types.includes('number') || types.includes('integer')) && typeof v === 'string') {
+    const n = parseFloat(v.replace(/[^0-9.+-]/g, ''));
+    if (!isNaN(n)) return types.includes('number') ? n : Math.round(n);
+  }
+  if (types.includes('integer') && typeof v === 'number') return Math.round(v);
+  if (types.includes('string') && (typeof v === 'number' || typeof v === 'boolean')) return String(v);
+  if (types.includes('array') && typeof v === 'string') return v.split(/\s*,\s*/).filter(Boolean);
+  if (types.includes('array') && typeOf(v) === 'object') return [v];
+  return undefined;
+}
+
+/**
+ * Repair a value in place so it satisfies the schema as far as possible: coerce wrong types,
+ * clamp out-of-range numbers, and fill missing required fields from `default`.
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} [root]
+ * @returns {{ value:*, repaired:string[], defaulted:string[] }}
+ */
+function repair(schema, value, root = schema) {
+  const report = { repaired: [], defaulted: [] };
+  const fix = (schemaNode, v, path) => {
+    const s = resolve(schemaNode, root);
+    if (v === undefined || (v === null && !typeMatches(s, null))) {
+      if (s.default === undefined) return v;
+      report.defaulted.push(path);
+      v = clone(s.default);
+    } else if (!typeMatches(s, v)) {
+      const coerced = coerce(s, v);
+      if (coerced !== undefined) { report.repaired.push(path); v = coerced; }
+      else if (s.default !== undefined) { report.defaulted.push(path); v = clone(s.default); }
+      else return v;
+    }
+    if (typeof v === 'number') {
+      if (s.minimum !== undefined && v < s.minimum) { report.repaired.push(path); v = s.minimum; }
+      if (s.maximum !== undefined && v > s.maximum) { report.repaired.push(path); v = s.maximum; }
+    }
+    if (Array.isArray(v) && s.items) {
+      v = v.map((item, i) => fix(s.items, item, `${path}[${i}]`)).filter(item => item !== undefined);
+    }
+    if (typeOf(v) === 'object') {
+      const props = s.properties || {};
+      for (const k of new Set([...(s.required || []), ...Object.keys(v)])) {
+        const child = props[k] || (typeof s.additionalProperties === 'object' ? s.additionalProperties : null);
+        if (!child) continue;
+        const fixed = fix(child, v[k], joinPath(path, k));
+        if (fixed !== undefined) v[k] = fixed;
+      }
+    }
+    return v;
+  };
+  const fixedValue = fix(schema, value, '');
+  return { value: fixedValue, ...report };
+}
+
+module.exports = { validate, repair };
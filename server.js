@@ -5,281 +5,157 @@ const os = require('os');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config'); // Configuration (loads env)
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { Client } = require("@googlemaps/google-maps-services-js");
+const { Client, defaultTimeout: MAPS_TIMEOUT } = require("@googlemaps/google-maps-services-js");
+const { validate, repair } = require('./schema');
+const llm = require('./llm');
+const { createSectionCache } = require('./cache');
+const { createLimiter } = require('./limit');
+const { createBatchJobs, addressesFromCsv, jobResultsToCsv } = require('./jobs');
+const { createZillowRegistry, msaKeyFor, findMsaKeyForAddress } = require('./zillow');
+const { parseAddress } = require('./address');
+const { computeValueTrends, computeCrimeTrends } = require('./trends');
+const { normalizeAffordabilityInputs, computeAffordability, affordabilityWhatIf } = require('./affordability');
+const { parsePropertyAttributes, estimateValueFromSize } = require('./valuation');
+const { createGeocoder, createGoogleBackend, createCensusBackend, createGazetteerBackend } = require('./geocode');
+const { createMetroIndex } = require('./metros');
+const { createFbiClient, AUTH_VARIANTS, FBI_BASE } = require('./fbi');
+const { createCrimeDataApi, countVariables } = require('./crimedata');
+const { fetchStateAgencies, chooseAgency, fetchAgencyParticipation } = require('./agencies');
+const { computeCrimeBenchmark } = require('./benchmark');
+const { buildCrimeDetails, HOUR_VARIABLE } = require('./nibrs');
+const { US_STATES } = require('./states');
+const { createUpstream } = require('./upstream');
+const { FAKE_ZHVI_URL } = require('./fakes');
 
-const genAI = new GoogleGenerativeAI(config.geminiApiKey);
-const mapsClient = new Client({});
+// Upstream HTTP (Gemini, Google Maps, FBI, Census geocoder, Zillow downloads): live, record, replay or fake per
+// provider (UPSTREAM_MODE, e.g. "fake" or "replay,gemini=live"); fixtures in UPSTREAM_FIXTURES_DIR (default fixtures/)
+const upstream = createUpstream({ modes: config.upstream.mode, dir: config.upstream.fixturesDir });
+llm.useUpstream(upstream);
+// Keys as the upstream layer sees them: replayed or faked providers need no real key
+const apiKeys = { google: upstream.apiKey('google_maps', config.googleApiKey), fbi: upstream.apiKey('fbi', config.fbiApiKey) };
+const mapsClient = new Client({ config: { adapter: upstream.axiosAdapter, timeout: MAPS_TIMEOUT } });
 
 const app = express();
-const port = process.env.PORT || 3000; // Allow overriding port
-const host = process.env.HOST || '0.0.0.0'; // Bind to all interfaces for LAN access
-const DATA_DIR = path.join(__dirname, 'data');
-
-// Simple in-memory cache { address: { data, expiresAt } }
-const CACHE_TTL = (parseInt(process.env.CACHE_TTL_SECONDS, 10) || 900) * 1000; // default 15m
-const cache = new Map();
-
-// Zillow (or similar) property value dataset cache (zip -> {date, value})
-let zillowValues = null; // ZHVI
-let zillowPpsf = null; // price per sqft (metro-level)
-let zillowDownloadTimestamp = null; // tracks last time any Zillow file was downloaded into data folder
-
-// Support loading either local file system path or remote HTTP(S) URL
-// Basic CSV line parser supporting quoted fields and escaped quotes
-function parseCsvLine(line) {
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i+1] === '"') { // escaped quote
-        cur += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === ',' && !inQuotes) {
-      out.push(cur);
-      cur = '';
-    } else {
-      cur += ch;
-    }
-  }
-  out.push(cur);
-  return out;
-}
+const { port, host } = config; // host 0.0.0.0 binds all interfaces for LAN access
+const DATA_DIR = path.resolve(config.dataDir);
 
-async function loadZillowWideCSV(filePath) {
-  try {
-    let text;
-    let origin;
-    if (/^https?:\/\//i.test(filePath)) {
-      const resp = await fetch(filePath);
-      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-      text = await resp.text();
-      origin = filePath;
-    } else {
-      const abs = path.resolve(filePath);
-      text = fs.readFileSync(abs, 'utf8');
-      origin = abs;
-    }
-    const lines = text.split(/\r?\n/).filter(l => l.trim().length);
-    if (!lines.length) return;
-  const header = parseCsvLine(lines[0]);
-    // Identify date columns (YYYY-MM or YYYY-MM-DD). We'll store YYYY-MM for display.
-    const dateCols = header
-      .map((h,i)=> (/^(19|20)\d{2}-\d{2}(-\d{2})?$/.test(h.trim()) ? {col:i, raw:h.trim(), ym:h.trim().slice(0,7)} : null))
-      .filter(Boolean);
-    if (!dateCols.length) {
-      console.warn('Zillow CSV: no date columns detected. Header length:', header.length);
-      return;
-    }
-    const regionNameIdx = header.findIndex(h=>/RegionName/i.test(h));
-    const regionTypeIdx = header.findIndex(h=>/RegionType/i.test(h));
-    const stateIdx = header.findIndex(h=>/^State$/i.test(h)||/StateName/i.test(h));
-    if (regionNameIdx === -1 || regionTypeIdx === -1) {
-      console.warn('Zillow CSV missing RegionName or RegionType columns');
-      return;
-    }
-    const zipMap = new Map();
-    const msaMap = new Map(); // "City, ST" -> { date, value }
-    for (let li=1; li<lines.length; li++) {
-      const row = parseCsvLine(lines[li]);
-      if (row.length < header.length) continue;
-      const regionName = row[regionNameIdx]?.trim();
-      const regionType = (row[regionTypeIdx] || '').trim().toLowerCase();
-      if (!regionName) continue;
-      if (regionType !== 'zip' && regionType !== 'msa') continue;
-      const series = [];
-      let latest = null;
-      for (let di=0; di<dateCols.length; di++) {
-        const {col, ym} = dateCols[di];
-        const valStr = row[col];
-        if (valStr && !isNaN(+valStr)) {
-          const v = +valStr;
-            series.push({ ym, value: v });
-          latest = { ym, value: v };
-        }
-      }
-      if (!latest) continue;
-      const entry = { date: latest.ym, value: latest.value, state: stateIdx>=0 ? row[stateIdx].trim() : undefined, series };
-      if (regionType === 'zip') zipMap.set(regionName, entry);
-      else if (regionType === 'msa') msaMap.set(regionName.toUpperCase(), entry);
-    }
-    // If we're parsing the locally cached file name, attempt to set download timestamp from its mtime (persisted across restarts)
-    if (!zillowDownloadTimestamp) {
-      try {
-        if (!/^https?:/i.test(filePath) && /zillow_latest\.csv$/i.test(filePath)) {
-          const st = fs.statSync(filePath);
-          zillowDownloadTimestamp = st.mtime;
-        }
-      } catch {}
-    }
-    zillowValues = { loadedAt: new Date(), zipCount: zipMap.size, msaCount: msaMap.size, zipMap, msaMap };
-    console.log(`Loaded Zillow dataset from ${origin} -> ZIPs: ${zipMap.size}, MSAs: ${msaMap.size}`);
-  } catch (e) {
-    console.warn('Failed to load Zillow CSV:', e.message);
-  }
-}
+// Persistent per-section cache (address + section). AI text lasts weeks, FBI crime a year,
+// property values until the Zillow dataset changes (version tag instead of a TTL).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AI_CACHE_TTL = config.cache.aiDays * DAY_MS;
+const CRIME_CACHE_TTL = config.cache.crimeDays * DAY_MS;
+const sectionCache = createSectionCache({
+  file: config.cache.sectionFile,
+  ttlFor: (section) => (section === 'crime' || section === 'crime_details' ? CRIME_CACHE_TTL : section === 'property_value' ? null : AI_CACHE_TTL),
+  versionFor: (section) => (section === 'property_value' ? zillowDatasetVersion() : undefined)
+});
 
-// Load Metro-level price per square foot CSV (no ZIPs). Returns map: MSA KEY -> {date,value,series}
-async function loadZillowPricePerSqftCSV(filePath) {
-  try {
-    let text; let origin;
-    if (/^https?:\/\//i.test(filePath)) { const resp = await fetch(filePath); if (!resp.ok) throw new Error(`HTTP ${resp.status}`); text = await resp.text(); origin = filePath; }
-    else { const abs = path.resolve(filePath); text = fs.readFileSync(abs,'utf8'); origin = abs; }
-    const lines = text.split(/\r?\n/).filter(l=>l.trim().length);
-    if (!lines.length) return;
-    const header = parseCsvLine(lines[0]);
-    const dateCols = header.map((h,i)=> (/^(19|20)\d{2}-\d{2}(-\d{2})?$/.test(h.trim()) ? {col:i, ym:h.trim().slice(0,7)}:null)).filter(Boolean);
-    const regionNameIdx = header.findIndex(h=>/RegionName/i.test(h));
-    const regionTypeIdx = header.findIndex(h=>/RegionType/i.test(h));
-    if (regionNameIdx === -1 || regionTypeIdx === -1) { console.warn('PPSF CSV missing RegionName/RegionType'); return; }
-    const msaMap = new Map();
-    for (let li=1; li<lines.length; li++) {
-      const row = parseCsvLine(lines[li]);
-      if (row.length < header.length) continue;
-      const regionName = row[regionNameIdx]?.trim();
-      const regionType = (row[regionTypeIdx]||'').trim().toLowerCase();
-      if (!regionName || regionType !== 'msa') continue;
-      const series=[]; let latest=null;
-      for (let di=0; di<dateCols.length; di++) { const {col, ym} = dateCols[di]; const valStr=row[col]; if (valStr && !isNaN(+valStr)) { const v=+valStr; series.push({ym,value:v}); latest={ym,value:v}; } }
-      if (!latest) continue;
-      msaMap.set(regionName.toUpperCase(), { date: latest.ym, value: latest.value, series });
-    }
-    zillowPpsf = { loadedAt: new Date(), msaCount: msaMap.size, msaMap };
-    console.log(`Loaded Zillow PPSF dataset from ${origin} -> MSAs: ${msaMap.size}`);
-  } catch(e){ console.warn('Failed to load Zillow PPSF CSV:', e.message); }
-}
+// Bounded concurrency against the upstream APIs (shared by interactive lookups and batch jobs)
+const fbiLimit = createLimiter(config.concurrency.fbi);
+const mapsLimit = createLimiter(config.concurrency.maps);
+const mapsFetch = (url) => mapsLimit.run(() => upstream.fetch(url));
 
-async function ensurePpsfLoaded() {
-  if (!zillowPpsf && config.zillowDatasets && config.zillowDatasets.pricePerSqft) {
-    await loadZillowPricePerSqftCSV(config.zillowDatasets.pricePerSqft);
-  }
-}
+// FBI Crime Data API: remembered auth variant, per-request timeout + retries, responses cached per endpoint
+// (published years for a year, recent years and agency lists for a month)
+const FBI_TTL = {
+  fbi_published: config.cache.fbiDays * DAY_MS,
+  fbi_recent: 30 * DAY_MS,
+  fbi_meta: 30 * DAY_MS
+};
+const fbi = createFbiClient({
+  apiKey: apiKeys.fbi,
+  limiter: fbiLimit,
+  cache: createSectionCache({
+    file: config.cache.fbiFile,
+    ttlFor: (section) => FBI_TTL[section] || FBI_TTL.fbi_meta,
+    keyFor: (p) => p
+  }),
+  timeoutMs: config.fbi.timeoutMs,
+  retries: config.fbi.retries,
+  fetchFn: upstream.fetch
+});
+// Endpoint functions checked against swagger.json (field drift is reported in /api/debugEnv)
+const crimeData = createCrimeDataApi({ client: fbi });
 
-function findMsaKeyForAddress(address, msaMap) {
-  if (!address || !msaMap || !msaMap.size) return null;
-  let city = null, state = null;
-  const cityStateMatch = address.match(/([^,]+),\s*([A-Z]{2})\s+\d{5}/i);
-  if (cityStateMatch) {
-    city = cityStateMatch[1].trim();
-    state = cityStateMatch[2].toUpperCase();
-  } else {
-    const parts = address.split(',').map(p=>p.trim());
-    if (parts.length >= 2) {
-      city = parts[parts.length-2];
-      const stMatch = parts[parts.length-1].match(/\b([A-Z]{2})\b/);
-      if (stMatch) state = stMatch[1].toUpperCase();
-    }
-  }
-  if (!city || !state) return null;
-  const targetCityUpper = city.toUpperCase();
-  const targetStateUpper = state.toUpperCase();
-  const directKey = `${targetCityUpper}, ${targetStateUpper}`;
-  if (msaMap.has(directKey)) return directKey;
-  // Partial startsWith
-  let bestKey = null;
-  for (const key of msaMap.keys()) {
-    if (key.endsWith(`, ${targetStateUpper}`)) {
-      const cityPart = key.split(',')[0];
-      if (cityPart.startsWith(targetCityUpper)) { bestKey = key; break; }
-    }
-  }
-  if (bestKey) return bestKey;
-  // Fuzzy
-  const levenshtein = (a,b)=>{ const m=[...Array(b.length+1)].map((_,i)=>i); for(let i=1;i<=a.length;i++){ let prev=i-1; m[0]=i; for(let j=1;j<=b.length;j++){ const tmp=m[j]; m[j]=a[i-1]===b[j-1]?prev:Math.min(prev,m[j-1],m[j])+1; prev=tmp;} } return m[b.length]; };
-  let bestDist = Infinity; let best = null;
-  for (const key of msaMap.keys()) {
-    if (!key.endsWith(`, ${targetStateUpper}`)) continue;
-    const cityPart = key.split(',')[0];
-    const dist = levenshtein(cityPart, targetCityUpper);
-    if (dist < bestDist) { bestDist = dist; best = key; }
-  }
-  if (bestDist <= 3) return best;
-  return null;
-}
+// Zillow wide-format datasets. Adding one (ZORI rents, inventory, ...) only needs a registry entry:
+// its metro/ZIP row is then attached to property_value under `field`.
+const zillow = createZillowRegistry({
+  dataDir: DATA_DIR,
+  fetchFn: upstream.fetch,
+  datasets: [
+    { id: 'zhvi', name: 'Zillow Home Value Index', units: 'usd', regionTypes: ['zip', 'msa'], required: true,
+      source: () => config.zillowDatasets.zhviWide || (upstream.mode('zillow') === 'fake' ? FAKE_ZHVI_URL : null), downloadAs: 'zillow_latest.csv' },
+    { id: 'ppsf', name: 'Median Sale Price per SqFt', units: 'usd_per_sqft', regionTypes: ['msa'], field: 'price_per_sqft',
+      source: () => config.zillowDatasets.pricePerSqft, downloadAs: 'zillow_ppsf_latest.csv' },
+    { id: 'market_heat', name: 'Zillow Market Heat Index', units: 'index', regionTypes: ['msa'], field: 'market_heat',
+      source: () => config.zillowDatasets.marketHeat,
+      describe: (entry) => marketHeatLabel(entry.value) }
+  ]
+});
 
-async function ensureZillowLoaded() {
-  if (zillowValues || !process.env.ZILLOW_ZIP_ZHVI_CSV) return;
-  await loadZillowWideCSV(process.env.ZILLOW_ZIP_ZHVI_CSV);
+/**
+ * Label a Zillow Market Heat Index value. Zillow centers the index on 50 (balanced market);
+ * higher means sellers have more power, lower means buyers do.
+ * @param {number} value
+ * @returns {{label: string, strength: string}}
+ */
+function marketHeatLabel(value) {
+  if (value >= 70) return { label: "seller's", strength: 'strong' };
+  if (value > 55) return { label: "seller's", strength: 'moderate' };
+  if (value >= 44) return { label: 'neutral', strength: 'balanced' };
+  if (value >= 28) return { label: "buyer's", strength: 'moderate' };
+  return { label: "buyer's", strength: 'strong' };
 }
 
 /**
- * Download latest Zillow CSV referenced by env variable into data folder and reload.
+ * Attach the secondary datasets (everything with a `field`) matching a ZIP / metro to a property_value block.
+ * Blocks keep the shape the UI reads: { latest_month, value, series, metro_key, source, units, ... }.
  */
-async function refreshZillowDataset() {
-  // Determine primary ZHVI source (env override or config default)
-  const zhviSrc = process.env.ZILLOW_ZIP_ZHVI_CSV || config.zillowDatasets.zhviWide;
-  const ppsfSrc = config.zillowDatasets.pricePerSqft;
-  if (!zhviSrc) throw new Error('No ZHVI dataset URL configured');
-  // Local path case for ZHVI only; PPSF still remote
-  if (!/^https?:\/\//i.test(zhviSrc)) {
-    await loadZillowWideCSV(zhviSrc);
-    if (ppsfSrc) await loadZillowPricePerSqftCSV(ppsfSrc); // remote
-    return { mode: 'reload-local', zhvi_source: zhviSrc, ppsf_source: ppsfSrc, zhvi: zillowValues, ppsf: zillowPpsf };
-  }
-  try { fs.mkdirSync(DATA_DIR, { recursive: true }); } catch {}
-  const ts = Date.now();
-  const zhviName = 'zillow_latest.csv';
-  const ppsfName = 'zillow_ppsf_latest.csv';
-  const zhviTarget = path.join(DATA_DIR, zhviName);
-  const ppsfTarget = path.join(DATA_DIR, ppsfName);
-  // Download both (parallel)
-  const [zhviResp, ppsfResp] = await Promise.all([
-    fetch(zhviSrc),
-    ppsfSrc ? fetch(ppsfSrc) : Promise.resolve(null)
-  ]);
-  if (!zhviResp.ok) throw new Error(`ZHVI download failed: HTTP ${zhviResp.status}`);
-  if (ppsfResp && !ppsfResp.ok) console.warn('PPSF download failed:', ppsfResp.status);
-  fs.writeFileSync(zhviTarget, Buffer.from(await zhviResp.arrayBuffer()));
-  if (ppsfResp && ppsfResp.ok) fs.writeFileSync(ppsfTarget, Buffer.from(await ppsfResp.arrayBuffer()));
-  zillowDownloadTimestamp = new Date();
-  await loadZillowWideCSV(zhviTarget);
-  if (ppsfResp && ppsfResp.ok) await loadZillowPricePerSqftCSV(ppsfTarget);
-  return { mode: 'downloaded', zhvi_saved_as: zhviTarget, ppsf_saved_as: ppsfResp?.ok ? ppsfTarget : null, zhvi_source: zhviSrc, ppsf_source: ppsfSrc, downloaded_at: zillowDownloadTimestamp, zhvi: zillowValues, ppsf: zillowPpsf };
+function attachZillowDatasets(target, { zip, metro, address }) {
+  const matches = zillow.lookup({ zip, metro, address });
+  for (const d of zillow.definitions()) {
+    const m = matches[d.id];
+    if (!d.field || !m) continue;
+    const { dataset, name, units, region_type, key, ...rest } = m;
+    target[d.field] = { ...rest, [region_type === 'zip' ? 'zip' : 'metro_key']: key, source: name, units, inferred_from_zip: !!zip && region_type !== 'zip' };
+  }
+  return target;
 }
 
-// ---------------- Geocoding & Metro distance helpers ---------------- //
-const geocodeCache = new Map(); // key -> {lat,lng}
-async function geocode(query) {
-  if (!config.googleApiKey) return null;
-  const k = query.toLowerCase();
-  if (geocodeCache.has(k)) return geocodeCache.get(k);
-  try {
-    const resp = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&key=${config.googleApiKey}`);
-    if (!resp.ok) return null;
-    const j = await resp.json();
-    const loc = j.results?.[0]?.geometry?.location || null;
-    if (loc) geocodeCache.set(k, loc);
-    return loc;
-  } catch { return null; }
+// Version tag for cached property_value sections: changes when a refresh brings a newer month
+function zillowDatasetVersion() {
+  return zillow.get('zhvi') ? zillow.version() : null;
 }
 
-function haversineMiles(a, b) {
-  if (!a || !b) return Infinity;
-  const R = 3958.8; // miles
-  const toRad = d => d * Math.PI / 180;
-  const dLat = toRad(b.lat - a.lat);
-  const dLng = toRad(b.lng - a.lng);
-  const la1 = toRad(a.lat);
-  const la2 = toRad(b.lat);
-  const h = Math.sin(dLat/2)**2 + Math.cos(la1)*Math.cos(la2)*Math.sin(dLng/2)**2;
-  return 2 * R * Math.asin(Math.sqrt(h));
-}
+// ---------------- Geocoding & Metro distance helpers ---------------- //
+// Every address -> place lookup (crime city, metro inference, place details) goes through this geocoder.
+// GEOCODER_BACKENDS lists the backends in the order tried: google (needs GOOGLE_API_KEY), census (US Census
+// geocoder, no key), gazetteer (offline, GEOCODER_GAZETTEER file). Answers are cached in data/geocode_cache.json.
+const GEOCODE_CACHE_TTL = config.cache.geocodeDays * DAY_MS;
+const GAZETTEER_FILE = config.geocoder.gazetteer;
+const geocoder = createGeocoder({
+  backends: config.geocoder.backends.map(name => {
+    if (name === 'google') return apiKeys.google ? createGoogleBackend({ apiKey: apiKeys.google, fetchFn: mapsFetch }) : null;
+    if (name === 'census') return createCensusBackend({ fetchFn: mapsFetch });
+    if (name === 'gazetteer') return fs.existsSync(GAZETTEER_FILE) ? createGazetteerBackend({ file: GAZETTEER_FILE }) : null;
+    console.warn(`Unknown geocoding backend "${name}" ignored`);
+    return null;
+  }).filter(Boolean),
+  cache: createSectionCache({ file: config.cache.geocodeFile, ttlFor: () => GEOCODE_CACHE_TTL })
+});
 
-function extractZip(address) {
-  if (!address) return null;
-  const m = address.match(/\b(\d{5})(?:-\d{4})?\b/);
-  return m ? m[1] : null;
-}
+// Offline metro centroids / boundaries keyed to Zillow RegionName (nearest and containing metro without geocoding)
+const metroIndex = createMetroIndex({
+  centroidsFile: config.metros.centroidsCsv,
+  boundariesFile: config.metros.boundariesGeojson
+});
 
 // Enable CORS so our front-end (running on a different port) can call this server
 app.use(cors());
 // Enable the server to understand JSON in request bodies
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+// Raw CSV uploads (batch jobs)
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }));
 // Serve static frontend assets (index.html, app.js, style.css, etc.)
 app.use(express.static(__dirname));
 
@@ -289,62 +165,108 @@ const limiter = rateLimit({
   limit: 15, // max requests per IP per minute
   standardHeaders: true,
   legacyHeaders: false,
+  // Batch job progress polling / downloads and health probes (upstream results are cached) shouldn't eat the lookup
+  // budget; ?refresh=1 reruns billed health checks, so it counts
+  skip: (req) => req.method === 'GET' && (req.path.startsWith('/batch') || (req.path.startsWith('/health') && req.query.refresh !== '1')),
 });
 app.use('/api/', limiter);
 
+// FBI offense slug -> stats / trend field and label (violent and property first: they lead the trend summary)
+const CRIME_OFFENSES = [
+  ['violent-crime', 'violent_crime', 'Violent crime'],
+  ['property-crime', 'property_crime', 'Property crime'],
+  ['homicide-offenses', 'homicide', 'Homicide'],
+  ['robbery', 'robbery', 'Robbery'],
+  ['aggravated-assault', 'aggravated_assault', 'Aggravated assault'],
+  ['burglary', 'burglary', 'Burglary'],
+  ['larceny-theft', 'larceny', 'Larceny'],
+  ['motor-vehicle-theft', 'motor_vehicle_theft', 'Motor vehicle theft'],
+  ['arson', 'arson', 'Arson']
+];
+// Years of FBI data behind crime.trend (ending at the latest full year)
+const CRIME_TREND_YEARS = config.fbi.trendYears;
+
+// FBI estimate row (normalized by crimedata.js) -> counts keyed like CRIME_OFFENSES fields (estimates have no arson)
+function estimateCounts(row) {
+  return {
+    year: row.year,
+    population: row.population || null,
+    violent_crime: row.violent_crime,
+    homicide: row.homicide,
+    robbery: row.robbery,
+    aggravated_assault: row.aggravated_assault,
+    property_crime: row.property_crime,
+    burglary: row.burglary,
+    larceny: row.larceny,
+    motor_vehicle_theft: row.motor_vehicle_theft
+  };
+}
+
 /**
- * Attempt to extract a US state (2-letter) from an address string.
- * @param {string} address
- * @returns {string|null}
+ * State estimates for a window of years, by year (years the state did not report are absent).
+ * @param {string} state
+ * @param {number[]} years Consecutive, ascending
  */
-function extractState(address) {
-  if (!address) return null;
-  const STATE_ABBRS = new Set([
-    'AL','AK','AZ','AR','CA','CO','CT','DE','FL','GA','HI','ID','IL','IN','IA','KS','KY','LA','ME','MD','MA','MI','MN','MS','MO','MT','NE','NV','NH','NJ','NM','NY','NC','ND','OH','OK','OR','PA','RI','SC','SD','TN','TX','UT','VT','VA','WA','WV','WI','WY','DC'
-  ]);
-  // Common US address pattern: City, ST ZIP
-  const match = address.toUpperCase().match(/,\s*([A-Z]{2})\s+\d{5}/);
-  if (match && STATE_ABBRS.has(match[1])) return match[1];
-  // Fallback: look for , ST (end)
-  const match2 = address.toUpperCase().match(/,\s*([A-Z]{2})(?:\s|$)/);
-  if (match2 && STATE_ABBRS.has(match2[1])) return match2[1];
-  return null;
+async function fetchStateEstimates(state, years) {
+  const { results } = await crimeData.stateEstimates({ state_abbr: state, since: years[0], until: years[years.length - 1], page: 1, per_page: years.length });
+  const byYear = {};
+  for (const row of results) {
+    const counts = estimateCounts(row);
+    if (years.includes(counts.year)) byYear[counts.year] = counts;
+  }
+  return byYear;
+}
+
+/** National estimates for every published year, by year. */
+async function fetchNationalEstimates() {
+  const { results } = await crimeData.nationalEstimates({ page: 1, per_page: 100 });
+  return Object.fromEntries(results.map(estimateCounts).filter(r => Number.isFinite(r.year)).map(r => [r.year, r]));
 }
 
+// Percentile peers: every state + DC. Their estimates are fetched once per trend window and shared by every lookup
+// (the responses also persist in the FBI cache), so lookups don't each fan out to 51 requests.
+const BENCHMARK_PEERS = US_STATES.filter(s => s.abbr !== 'PR').map(s => s.abbr);
+const peerEstimates = new Map(); // "since-until" -> Promise<(Object<number,object>|null)[]>
+
 /**
- * Perform a fetch against FBI Crime Data API trying multiple authentication styles.
- * Order: header X-API-Key, then query param variants (api_key, API_KEY, apikey, key).
- * Returns the first non-401/403 response or the last attempt's response.
- * @param {string} path API path beginning with '/'
- * @param {object} options fetch options
+ * Estimates by year for every peer state over a window; a window that came back mostly empty is fetched again next time.
+ * @param {number[]} years Consecutive, ascending (the trend window, so the lookup's own state request is shared)
  */
-async function fbiFetch(path, options = {}) {
-  const base = 'https://api.usa.gov/crime/fbi/sapi/api';
-  const key = config.fbiApiKey;
-  const variants = [
-    { name: 'header:X-API-Key', headers: { 'X-API-Key': key } },
-  { name: 'header:X-Api-Key', headers: { 'X-Api-Key': key } },
-    { name: 'query:api_key', q: { api_key: key } },
-    { name: 'query:API_KEY', q: { API_KEY: key } },
-    { name: 'query:apikey', q: { apikey: key } },
-    { name: 'query:key', q: { key } }
-  ];
-  const [p, existingQuery] = path.split('?');
-  const existingParams = new URLSearchParams(existingQuery || '');
-  let lastResp = null;
-  for (const v of variants) {
-    const params = new URLSearchParams(existingParams.toString());
-    if (v.q) Object.entries(v.q).forEach(([k,val]) => params.set(k, val));
-    const url = `${base}${p}?${params.toString()}`;
-    const resp = await fetch(url, {
-      ...options,
-      headers: { ...(options.headers || {}), ...(v.headers || {}) }
+function fetchPeerEstimates(years) {
+  const k = `${years[0]}-${years[years.length - 1]}`;
+  if (!peerEstimates.has(k)) {
+    peerEstimates.set(k, Promise.all(BENCHMARK_PEERS.map(st => fetchStateEstimates(st, years).catch(() => null))).then(rows => {
+      if (rows.filter(Boolean).length < 10) peerEstimates.delete(k);
+      return rows;
+    }));
+  }
+  return peerEstimates.get(k);
+}
+
+/**
+ * Local rates vs the state and national estimates, with a percentile among the states (see benchmark.js). null when
+ * nothing could be fetched.
+ * @param {{level:string, year:number, row:object}} local Headline year and counts of crime.stats
+ * @param {string} state
+ * @param {number[]} years Trend window (the state estimate request matches the fallback one, so it's cached)
+ * @param {object|null} stateByYear Already-fetched state estimates (state-level lookups)
+ */
+async function getCrimeBenchmark(local, state, years, stateByYear) {
+  try {
+    const [stateRows, nationalByYear, peers] = await Promise.all([
+      stateByYear || fetchStateEstimates(state, years).catch(() => null),
+      fetchNationalEstimates().catch(e => { console.warn('National estimates unavailable:', e.message); return null; }),
+      fetchPeerEstimates(years)
+    ]);
+    if (!stateRows && !nationalByYear) return null;
+    return computeCrimeBenchmark({
+      local, state, stateByYear: stateRows, nationalByYear, peers,
+      offenses: Object.fromEntries(CRIME_OFFENSES.map(([, field, label]) => [field, label]))
     });
-    // Return immediately if auth works (not 401/403) or success
-    if (resp.status !== 401 && resp.status !== 403) return resp;
-    lastResp = resp; // keep last 401/403 to return if all fail
+  } catch (e) {
+    console.warn('Crime benchmark failed:', e.message);
+    return null;
   }
-  return lastResp;
 }
 
 /**
@@ -355,155 +277,124 @@ async function fbiFetch(path, options = {}) {
  */
 async function getCrimeData(address) {
   try {
-    const state = extractState(address);
+    const parsed = parseAddress(address);
+    const state = parsed.state || (await geocoder.geocode(address))?.state;
     if (!state) {
       return { stats: { note: 'State not detected in address. Crime stats unavailable.' } };
     }
-    if (!config.fbiApiKey) {
+    if (!apiKeys.fbi) {
       return { stats: { note: 'FBI API key not configured.' } };
     }
 
-    // Derive city via Google Geocoding (fallback to simple parse if unavailable)
-    let city = null;
-    try {
-      if (config.googleApiKey) {
-        const geoResp = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${config.googleApiKey}`);
-        if (geoResp.ok) {
-          const geoJson = await geoResp.json();
-          const comp = geoJson.results?.[0]?.address_components || [];
-            const locality = comp.find(c => c.types.includes('locality')) || comp.find(c => c.types.includes('postal_town'));
-          const admin2 = comp.find(c => c.types.includes('administrative_area_level_3')) || comp.find(c => c.types.includes('administrative_area_level_2'));
-          city = (locality || admin2)?.long_name || null;
-        }
-      }
-    } catch (gErr) {
-      console.warn('Geocoding for city failed, will try regex fallback', gErr.message);
-    }
-    if (!city) {
-      // naive parse: segment before state abbreviation
-      const m = address.split(',');
-      if (m.length >= 2) city = m[m.length - 2].trim();
-    }
+    // Derive city from the geocoder (fallback to the parsed address)
+    const place = await geocoder.geocode(address);
+    const city = place?.city || parsed.city;
 
     // Choose target year: last full year (currentYear - 1)
     const now = new Date();
     const targetYear = now.getMonth() >= 6 ? now.getFullYear() - 1 : now.getFullYear() - 2; // assume data lags ~6 months
 
-    // Attempt city-level ORI search
-    let ori = null;
-    let population = null;
-    if (city) {
-      try {
-        const agenciesUrl = `/agencies/byStateAbbr?stateAbbr=${state}&page=1&per_page=500`;
-        const agResp = await fbiFetch(agenciesUrl);
-        if (agResp.ok) {
-          const agJson = await agResp.json();
-          const agencies = agJson?.agencies || agJson?.results || [];
-          const cityUpper = city.toUpperCase();
-          // Filter plausible city agencies
-          const matches = agencies.filter(a => {
-            const name = (a.agency_name || '').toUpperCase();
-            const cName = (a.city_name || '').toUpperCase();
-            return cName === cityUpper || name.startsWith(cityUpper) || name.includes(`${cityUpper} POLICE`);
-          });
-          // Prefer Police Department style and with population
-          matches.sort((a,b)=> (b.population||0)-(a.population||0));
-          if (matches.length) {
-            ori = matches[0].ori;
-            population = matches[0].population || null;
-          }
+    // Window of years ending at targetYear; a year the agency / state did not report stays absent from byYear
+    const years = Array.from({ length: CRIME_TREND_YEARS }, (_, i) => targetYear - CRIME_TREND_YEARS + 1 + i);
+
+    // Agency for the address: city police, else county sheriff (see agencies.js); none -> state estimates
+    let agencyInfo = null;
+    try {
+      const choice = chooseAgency(await fetchStateAgencies(crimeData, state), {
+        city, county: place?.county, countyFips: place?.fips?.county, year: targetYear
+      });
+      const a = choice.agency;
+      agencyInfo = { ori: a?.ori || null, name: a?.agency_name || null, type: a?.agency_type_name || null, match: choice.match,
+        county: a?.primary_county || null, county_fips: a?.primary_county_fips || null, population: a?.population || null, reason: choice.reason };
+      if (a) {
+        try {
+          agencyInfo.coverage = await fetchAgencyParticipation(crimeData, a.ori, years);
+        } catch (pErr) {
+          console.warn(`Participation lookup for ${a.ori} failed:`, pErr.message);
         }
-      } catch (agErr) {
-        console.warn('Agency lookup failed, falling back to state:', agErr.message);
       }
+    } catch (agErr) {
+      console.warn('Agency lookup failed, falling back to state:', agErr.message);
     }
+    const ori = agencyInfo?.ori || null;
+    const population = agencyInfo?.population || null;
+
+    const byYear = {};
+    let level = null;
 
+    // A failed offense drops out (null) instead of failing the others; the limiter bounds how many run at once
     async function fetchOffense(offense) {
-      const url = `/summarized/agencies/${ori}/${offense}/offense/${targetYear}/${targetYear}`;
-      const r = await fbiFetch(url);
-      if (!r.ok) return null;
-      const j = await r.json();
-      return j?.results?.[0] || null;
+      try {
+        return (await crimeData.agencyOffenseSummary({ ori, offense, since: years[0], until: targetYear })).results;
+      } catch (e) {
+        if (!e.status) console.warn(`FBI ${offense} fetch failed:`, e.message);
+        return null;
+      }
     }
 
-    let stats = null;
     if (ori) {
       try {
-        const offenses = ['violent-crime','property-crime','burglary','larceny-theft','motor-vehicle-theft','arson','homicide-offenses','robbery','aggravated-assault'];
-        const results = {};
-        for (const o of offenses) {
-          const row = await fetchOffense(o);
-          if (row) results[o] = row;
-        }
-        if (Object.keys(results).length) {
-          // population from any row
-          population = population || Object.values(results)[0].population || null;
-          const pop = population || 0;
-          const rate = (count) => (pop ? +((count / pop) * 100000).toFixed(1) : null);
-          stats = {
-            level: 'city',
-            city,
-            state,
-            year: targetYear,
-            population: pop,
-            violent_crime: results['violent-crime']?.actual,
-            property_crime: results['property-crime']?.actual,
-            burglary: results['burglary']?.actual,
-            larceny: results['larceny-theft']?.actual,
-            motor_vehicle_theft: results['motor-vehicle-theft']?.actual,
-            arson: results['arson']?.actual,
-            homicide: results['homicide-offenses']?.actual,
-            robbery: results['robbery']?.actual,
-            aggravated_assault: results['aggravated-assault']?.actual,
-            violent_rate_per_100k: rate(results['violent-crime']?.actual || 0),
-            property_rate_per_100k: rate(results['property-crime']?.actual || 0),
-            burglary_rate_per_100k: rate(results['burglary']?.actual || 0),
-            larceny_rate_per_100k: rate(results['larceny-theft']?.actual || 0),
-            motor_vehicle_theft_rate_per_100k: rate(results['motor-vehicle-theft']?.actual || 0),
-            arson_rate_per_100k: rate(results['arson']?.actual || 0)
-          };
+        let any = false;
+        const results = await Promise.all(CRIME_OFFENSES.map(([offense]) => fetchOffense(offense)));
+        for (const [i, [, field]] of CRIME_OFFENSES.entries()) {
+          for (const row of results[i] || []) {
+            const year = row.data_year;
+            if (!years.includes(year) || !Number.isFinite(row.actual)) continue;
+            byYear[year] = byYear[year] || { population: population || row.population || null };
+            byYear[year][field] = row.actual;
+            any = true;
+          }
         }
+        if (any) level = agencyInfo.match;
       } catch (cityErr) {
-        console.warn('City-level crime retrieval failed:', cityErr.message);
+        console.warn('Agency-level crime retrieval failed:', cityErr.message);
       }
     }
 
-    if (!stats) {
+    if (!level) {
       // Fall back to state-level
-      const estUrl = `/estimates/states/${state}/${targetYear}/${targetYear}?page=1&per_page=1`;
-      const resp = await fbiFetch(estUrl, { timeout: 15000 });
-      if (!resp.ok) {
-        return { stats: { note: `FBI API request failed (${resp.status})` } };
+      try {
+        Object.assign(byYear, await fetchStateEstimates(state, years));
+      } catch (e) {
+        return { stats: { note: e.status ? `FBI API request failed (${e.status})` : `FBI API request failed (${e.message})` } };
       }
-      const json = await resp.json();
-      const row = json?.results?.[0];
-      if (!row) return { stats: { note: 'No FBI crime data returned.' } };
-      const pop = row.population || 0;
-      const rate = (count) => (pop ? +((count / pop) * 100000).toFixed(1) : null);
-      stats = {
-        level: 'state',
-        state,
-        year: row.year,
-        population: pop,
-        violent_crime: row.violent_crime,
-        homicide: row.homicide || row.murder || row.murder_and_nonnegligent_manslaughter,
-        robbery: row.robbery,
-        aggravated_assault: row.aggravated_assault,
-        property_crime: row.property_crime,
-        burglary: row.burglary,
-        larceny: row.larceny,
-        motor_vehicle_theft: row.motor_vehicle_theft,
-        arson: row.arson,
-        violent_rate_per_100k: rate(row.violent_crime),
-        property_rate_per_100k: rate(row.property_crime),
-        burglary_rate_per_100k: rate(row.burglary),
-        larceny_rate_per_100k: rate(row.larceny),
-        motor_vehicle_theft_rate_per_100k: rate(row.motor_vehicle_theft),
-        arson_rate_per_100k: rate(row.arson),
-        note: city ? `City-level data unavailable for ${city}; showing state estimates.` : undefined
-      };
+      if (!Object.keys(byYear).length) return { stats: { note: 'No FBI crime data returned.' } };
+      level = 'state';
     }
-    return { stats };
+
+    // Headline numbers: the target year, or the latest year that was reported
+    const year = byYear[targetYear] ? targetYear : Math.max(...Object.keys(byYear).map(Number));
+    const row = byYear[year];
+    const pop = row.population || 0;
+    const rate = (count) => (pop && Number.isFinite(count) ? +((count / pop) * 100000).toFixed(1) : null);
+    const stats = {
+      level,
+      ...(level === 'city' ? { city } : level === 'county' ? { county: place?.county || agencyInfo.county } : {}),
+      state,
+      year,
+      population: pop,
+      violent_crime: row.violent_crime,
+      homicide: row.homicide,
+      robbery: row.robbery,
+      aggravated_assault: row.aggravated_assault,
+      property_crime: row.property_crime,
+      burglary: row.burglary,
+      larceny: row.larceny,
+      motor_vehicle_theft: row.motor_vehicle_theft,
+      arson: row.arson,
+      violent_rate_per_100k: rate(row.violent_crime),
+      property_rate_per_100k: rate(row.property_crime),
+      burglary_rate_per_100k: rate(row.burglary),
+      larceny_rate_per_100k: rate(row.larceny),
+      motor_vehicle_theft_rate_per_100k: rate(row.motor_vehicle_theft),
+      arson_rate_per_100k: rate(row.arson),
+      note: level === 'state' && (city || agencyInfo?.ori) ? `Agency-level data unavailable${city ? ` for ${city}` : ''}; showing state estimates.`
+        : year !== targetYear ? `No data reported for ${targetYear}; showing ${year}.` : undefined
+    };
+    const trend = computeCrimeTrends(years, byYear, Object.fromEntries(CRIME_OFFENSES.map(([, field, label]) => [field, label])));
+    if (level !== 'state') trend.note = 'Rates use the agency\'s current population for every year.';
+    const benchmark = await getCrimeBenchmark({ level, year, row }, state, years, level === 'state' ? byYear : null);
+    return { stats, trend, ...(benchmark ? { benchmark } : {}), ...(agencyInfo ? { agency: agencyInfo } : {}) };
   } catch (e) {
     console.error('Crime data fetch error:', e);
     return { stats: { note: 'Error retrieving FBI crime data.' } };
@@ -511,29 +402,89 @@ async function getCrimeData(address) {
 }
 
 /**
- * Calls the Google Gemini API to generate property details for a given address.
- * @param {string} address The address to get details for.
- * @returns {Promise<object>} A promise that resolves with the property details JSON.
+ * NIBRS breakdowns for a crime result (see nibrs.js): state location types and property-crime sub-types from the
+ * matched agency, or the state when the numbers are state-level; state time of day only when the swagger offers an
+ * hour variable for offense counts. null when the result has no data year.
+ * @param {{stats:object, agency?:object}} crime getCrimeData() result
  */
-async function getPropertyDetailsFromGemini(address) {
-  console.log(`Received request for address: ${address}`);
-  
-  if (!config.geminiApiKey) {
-    throw new Error('Gemini API key not configured. Set GEMINI_API_KEY in .env');
+async function getCrimeDetails({ stats, agency }) {
+  if (!stats?.year) return null;
+  const state = stats.state;
+  const ori = stats.level !== 'state' ? agency?.ori : null;
+  const scope = ori ? { level: 'agency', name: agency.name, state } : { level: 'state', name: state, state };
+  const rows = (fn, params) => crimeData.collect(fn, { ...params, per_page: 500 }).catch(e => {
+    console.warn(`NIBRS ${fn} unavailable:`, e.message);
+    return null;
+  });
+  const checked = countVariables('stateOffenseCounts');
+  const hourVariable = checked.find(v => HOUR_VARIABLE.test(v)) || null;
+  const [locations, offenses, hourRows] = await Promise.all([
+    rows('stateOffenseCounts', { state_abbr: state, variable: 'location_name' }),
+    ori ? rows('agencyOffenseCounts', { ori }) : rows('stateOffenseCounts', { state_abbr: state, variable: 'offense_name' }),
+    hourVariable ? rows('stateOffenseCounts', { state_abbr: state, variable: hourVariable }) : null
+  ]);
+  const hours = { variable: hourVariable, rows: hourRows, checked };
+  return buildCrimeDetails({ scope, locations, offenses, hours, maxYear: stats.year });
+}
+
+// JSON Schema for the AI sections (kept next to properties.json, which is the one-shot example)
+const PROPERTY_SCHEMA = require('./properties.schema.json');
+const AI_REPAIR_RETRIES = config.aiRepairRetries;
+
+/**
+ * Parse JSON out of a model response: strip markdown fences, try a direct parse,
+ * then fall back to the first greedy {...} block.
+ * @param {string} text Raw model output
+ * @returns {object}
+ */
+function parseModelJson(text) {
+  const cleanedText = text.replace(/```json/gi, '').replace(/```/g, '').trim();
+  try {
+    return JSON.parse(cleanedText);
+  } catch (primaryErr) {
+    const match = cleanedText.match(/\{[\s\S]*\}/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch (secondaryErr) {
+        console.error('Secondary JSON parse failed:', secondaryErr);
+      }
+    }
+    throw primaryErr;
   }
+}
+
+// One prompt + example fragment per AI section so a partial lookup only pays for what it asks for.
+// `crime` here is only the narrative (context); the numbers and the multi-year trend come from getCrimeData.
+const PROPERTY_EXAMPLE = require('./properties.json');
+const AI_SECTIONS = new Set(['address','amenities_access','commute','schools','broadband','environmental_risk']);
+const AI_SECTION_PROMPTS = {
+  amenities_access: 'Give Walk Score, Transit Score and Bike Score (0-100) for the address and the notable amenities nearby, each with its straight-line distance in miles.',
+  commute: 'Describe transit access, the major routes serving the address, and drive times (minutes and miles) to the main employment centers and airport nearest the address. Use snake_case place keys under drive_times.',
+  schools: 'Give the nearest public elementary, middle and high school. It should be specific to the city within a 10 mile radius of the address and only Public schools. Public schools in Google Maps places will never have a rating.',
+  crime: 'Write a short neighborhood crime context for the city. Do not include statistics tables or claims about recent trends.',
+  broadband: 'List the internet options at the address: cable provider with max speed and coverage, fiber providers and availability, 5G home and satellite providers, and a short note.',
+  environmental_risk: 'Rate flood, fire and heat risk and typical air quality for the address, each as a level (Low/Moderate/High/Good/...) followed by a one-sentence explanation.'
+};
 
-  // Use a current Gemini model (gemini-pro was deprecated / removed)
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+/**
+ * Generate one AI section for an address with the section's LLM provider (see llm.js).
+ * Output is validated against that section of properties.schema.json; invalid output is sent back to the
+ * model with the validation errors (up to AI_REPAIR_RETRIES times) and whatever is still
+ * invalid afterwards is repaired or defaulted from the schema.
+ * @param {string} address The address to get details for.
+ * @param {string} section Key of AI_SECTION_PROMPTS
+ * @returns {Promise<{value: object, validation: object}>}
+ */
+async function generateSection(address, section) {
+  const provider = llm.getProvider(section);
+  const schema = { type: 'object', required: [section], properties: { [section]: PROPERTY_SCHEMA.properties[section] }, definitions: PROPERTY_SCHEMA.definitions };
 
-  // This is where you replicate the instructions for your "Gem".
-  // We provide a detailed system prompt and a "one-shot" example using your existing properties.json.
-  // This guides the model to return data in the exact format you need.
-  const exampleJson = JSON.stringify(require('./properties.json'), null, 2);
+  const exampleJson = JSON.stringify({ [section]: PROPERTY_EXAMPLE[section] }, null, 2);
   const prompt = `
-You are a real estate data analyst. Your task is to generate a detailed JSON object for a given property address.
-The JSON object must strictly follow this structure and data types. Do not add any extra text, explanations, or markdown formatting like 
-around the output.
-When populating the school section, it should be specific to the city within a 10 mile radius of the address and only Public schools. Public schools in Google Maps places will never have a rating.
+You are a real estate data analyst. Your task is to generate the "${section}" section of a property report as a JSON object for a given property address.
+${AI_SECTION_PROMPTS[section]}
+The JSON object must strictly follow this structure and data types. Do not add any extra text, explanations, or markdown formatting around the output.
 
 Here is an example of the required JSON format:
 ${exampleJson}
@@ -542,276 +493,337 @@ Now, generate a new JSON object with the same structure and data types for the f
 ${address}
 `;
 
+  let data = null;
+  let errors = [];
+  let lastText = '';
+  let attempts = 0;
   try {
-    console.log("Sending request to Gemini API...");
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    // Clean possible markdown fences
-    const cleanedText = text.replace(/```json/gi, '').replace(/```/g, '').trim();
+    for (let attempt = 0; attempt <= AI_REPAIR_RETRIES; attempt++) {
+      attempts++;
+      const attemptPrompt = attempt === 0 ? prompt : `${prompt}
+Your previous response was not valid for the required structure:
+${lastText}
 
-    // Try direct parse first
-    try {
-      return JSON.parse(cleanedText);
-    } catch (primaryErr) {
-      // Attempt to extract the first JSON object via a greedy match
-      const match = cleanedText.match(/\{[\s\S]*\}/);
-      if (match) {
-        try {
-          return JSON.parse(match[0]);
-        } catch (secondaryErr) {
-          console.error('Secondary JSON parse failed:', secondaryErr);
-        }
+Fix these problems and return the complete corrected JSON object only:
+${errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n')}
+`;
+      console.log(`Sending ${section} request to ${provider.name} (${provider.model}, attempt ${attempts})...`);
+      const result = await provider.generate(attemptPrompt, { json: true, meta: { address, section } });
+      lastText = result.text;
+      try {
+        data = parseModelJson(lastText);
+      } catch (parseErr) {
+        console.error(`JSON parse failed for ${section}:`, parseErr.message);
+        errors = [{ path: '', message: `response is not valid JSON (${parseErr.message})` }];
+        continue;
       }
-      console.error('Primary JSON parse failed:', primaryErr);
-      throw primaryErr; // Rethrow so outer catch adds context
+      errors = validate(schema, data);
+      if (!errors.length) break;
+      console.warn(`AI output for ${section} failed schema validation (${errors.length} errors)`);
     }
   } catch (e) {
-    console.error("Error during Gemini API call or JSON parsing. Full error object:", JSON.stringify(e, null, 2));
+    console.error(`Error during ${provider.name} API call for ${section}. Full error object:`, JSON.stringify(e, null, 2));
     // Include more details in the thrown error
     let errorMessage = e.message;
     if (e.response && e.response.data) {
       errorMessage += ` | Response data: ${JSON.stringify(e.response.data)}`;
     }
+    if (/not configured/i.test(errorMessage)) throw e;
     throw new Error(`Failed to get a valid JSON response from the AI model. Raw response: ${errorMessage}`);
   }
-}
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Failed to get a valid JSON response from the AI model after ${attempts} attempts. Raw response: ${lastText.slice(0, 500)}`);
+  }
 
-// Validate & normalize the structure we expect from the model so the frontend doesn't break.
-function normalizePropertyData(data) {
-  const safe = (v, fallback) => (v === undefined || v === null ? fallback : v);
-
-  // Commute defaults
-  data.commute = safe(data.commute, {});
-  data.commute.transit = safe(data.commute.transit, {});
-  data.commute.transit.bus_access = safe(data.commute.transit.bus_access, 'N/A');
-  data.commute.transit.major_routes = Array.isArray(data.commute.transit.major_routes) ? data.commute.transit.major_routes : [];
-  const dt = data.commute.transit.drive_times = safe(data.commute.transit.drive_times, {});
-  // Normalize each provided drive time entry; don't inject city-specific keys.
-  Object.keys(dt).forEach(k => {
-    dt[k] = safe(dt[k], {});
-    dt[k].drive_min = safe(dt[k].drive_min, 'N/A');
-    dt[k].drive_mi = safe(dt[k].drive_mi, 'N/A');
-  });
+  // Still invalid after the retries: coerce / default whatever the schema allows
+  const { value, repaired, defaulted } = repair(schema, data);
+  if (value[section] === undefined) throw new Error(`AI response did not include the ${section} section after ${attempts} attempts.`);
+  const unresolved = validate(schema, value);
+  if (unresolved.length) console.warn(`AI output for ${section} still invalid after repair:`, unresolved);
+  return {
+    value: value[section],
+    validation: { provider: provider.name, model: provider.model, valid: !repaired.length && !defaulted.length && !unresolved.length, attempts, repaired, defaulted, errors: unresolved }
+  };
+}
 
-  return data;
+/**
+ * Generate the requested AI sections in parallel and merge them. A failing section doesn't fail the others.
+ * @param {string} address
+ * @param {string[]} sections Keys of AI_SECTION_PROMPTS
+ * @param {object} [hooks]
+ * @param {(section:string, value:object, validation:object)=>void} [hooks.onSection] Called as each section finishes
+ * @param {(section:string, error:Error)=>void} [hooks.onSectionError]
+ * @returns {Promise<{data: object, validation: object, errors: object}>} errors: section -> Error
+ */
+async function generatePropertyDetails(address, sections, hooks = {}) {
+  console.log(`Received request for address: ${address} (AI sections: ${sections.join(', ')})`);
+  const data = {};
+  const validation = {};
+  const errors = {};
+  await Promise.all(sections.map(section => generateSection(address, section).then(r => {
+    data[section] = r.value;
+    validation[section] = r.validation;
+    if (hooks.onSection) hooks.onSection(section, r.value, r.validation);
+  }, err => {
+    console.error(`AI section ${section} failed:`, err.message);
+    errors[section] = err;
+    if (hooks.onSectionError) hooks.onSectionError(section, err);
+  })));
+  return { data, validation, errors };
 }
 
-// Define the API endpoint that our front-end will call
-app.post('/api/getPropertyDetails', async (req, res) => {
-  const start = Date.now();
-  try {
-    const { address, sections } = req.body || {};
-    if (!address || typeof address !== 'string') {
-      return res.status(400).json({ error: 'Invalid or missing address.' });
+/**
+ * Build the property_value block for an address from the loaded Zillow datasets (ZIP preferred, fallback to Metro/MSA).
+ * @param {string} address
+ * @returns {Promise<object>}
+ */
+async function getPropertyValueData(address) {
+  let result;
+  await zillow.ensure();
+  const zillowValues = zillow.get('zhvi');
+  if (zillowValues) {
+    const { zip: zipMap, msa: msaMap } = zillowValues.maps;
+    const parsed = parseAddress(address);
+    const zip = parsed.zip;
+    let pv = null;
+    if (zip && zipMap.has(zip)) {
+      pv = { type: 'zip', key: zip, ...zillow.entry('zhvi', 'zip', zip) };
+    } else {
+      // "City, ST" metro match
+      const msaKey = msaKeyFor(msaMap, parsed.city, parsed.state);
+      if (msaKey) {
+        pv = { type: 'msa', key: msaKey, ...zillow.entry('zhvi', 'msa', msaKey) };
+      }
     }
 
-    // Normalize requested sections (lowercase). If none provided, treat as ALL (legacy behavior)
-    let requested = null; // null => all
-    if (Array.isArray(sections) && sections.length) {
-      requested = Array.from(new Set(sections.map(s => String(s).toLowerCase())));
+    // If still no pv, infer the metro: containing / nearest one for the geocoded point, else a name match on the
+    // geocoded (or parsed) city
+    if (!pv && msaMap.size) {
+      const place = await geocoder.geocode(address);
+      const city = place?.city || parsed.city;
+      const state = (place?.state || parsed.state || '').toUpperCase();
+      if (city && state) {
+        // Offline index of every Zillow metro (see build-metro-centroids.js)
+        const located = place ? metroIndex.locate(place, { keys: msaMap, state }) : null;
+        const chosenKey = located?.key || findMsaKeyForAddress(`${city}, ${state}`, msaMap);
+        if (chosenKey) {
+          const entry = zillow.entry('zhvi', 'msa', chosenKey);
+          pv = { type: 'msa', key: chosenKey, ...entry, inferred: true, distance_miles: located ? located.distance_miles : null, metro_relation: located ? located.relation : null };
+        }
+      }
     }
-    const wants = (k) => !requested || requested.includes(k);
-    const AI_SECTIONS = new Set(['address','amenities_access','commute','schools','broadband','environmental_risk']);
-    const needAI = !requested || requested.some(s => AI_SECTIONS.has(s));
 
-    // Build cache key factoring in selected sections
-    const cacheKey = address.toLowerCase() + '|' + (requested ? requested.sort().join(',') : 'ALL');
+    if (pv) {
+      // Build yearly aggregates from series (last available month per year)
+      let yearly = [];
+      if (pv.series && pv.series.length) {
+        const byYear = new Map();
+        for (const pt of pv.series) {
+          const year = pt.ym.slice(0,4);
+          // overwrite so last month wins
+          byYear.set(year, pt.value);
+        }
+        yearly = Array.from(byYear.entries())
+          .sort((a,b)=>a[0].localeCompare(b[0]))
+          .map(([year, zhvi])=>({ year, zhvi }));
+      }
+      // Region options (other MSAs within same state) to allow user selection of alternate surrounding areas
+      let region_options = null;
+      if (pv.type === 'msa') {
+        try {
+          const stateCode = (pv.key.split(',').pop() || '').trim();
+          if (stateCode) {
+            region_options = Array.from(msaMap.keys())
+              .filter(k => k.endsWith(`, ${stateCode}`))
+              .sort();
+          }
+        } catch {}
+      }
+      result = {
+        type: pv.type,
+        region: pv.key,
+        latest_month: pv.date,
+        zhvi: pv.value,
+        source: 'Zillow Home Value Index (local CSV)',
+        note: pv.type === 'msa' ? (pv.inferred ? (pv.metro_relation === 'inside' ? 'Median of the metro containing the address (inferred) – informational only.' : 'Nearest metro-level median (inferred) – informational only.') : 'Metro-level median (no ZIP match) – informational only.') : 'ZIP-level median – informational only.',
+        dataset_loaded_at: zillowValues.loadedAt.toISOString(),
+        dataset_downloaded_at: zillowValues.downloadedAt ? zillowValues.downloadedAt.toISOString() : null,
+        distance_miles: (pv.distance_miles !== undefined ? pv.distance_miles : null),
+        metro_relation: pv.metro_relation || null, // inferred metro: 'inside' its boundary or only 'near' it
+        yearly,
+        series: Array.isArray(pv.series) ? pv.series.slice(-240) : [], // include up to last 20 years monthly for chart fallback
+        trends: computeValueTrends(pv.series),
+        region_options
+      };
+      // Attach metro-level datasets (price per sqft, market heat, ...); for a ZIP match the metro is derived from the address.
+      attachZillowDatasets(result, pv.type === 'msa' ? { metro: pv.key } : { zip: pv.key, address });
+    } else {
+      result = { note: 'No matching ZIP or Metro (MSA) in loaded dataset.', dataset_loaded_at: zillowValues.loadedAt.toISOString(), dataset_downloaded_at: zillowValues.downloadedAt ? zillowValues.downloadedAt.toISOString() : null };
+    }
+  } else {
+    result = { note: 'Zillow dataset not loaded (set ZILLOW_ZIP_ZHVI_CSV in .env).' };
+  }
+  return result;
+}
+
+// Sections a full report contains
+const REPORT_SECTIONS = ['address', ...Object.keys(AI_SECTION_PROMPTS).filter(s => s !== 'crime'), 'crime', 'property_value'];
+// The AI crime narrative is cached separately from the FBI numbers (different TTLs)
+const aiCacheSection = (section) => (section === 'crime' ? 'crime_narrative' : section);
+
+/**
+ * Assemble a property report from cached sections, generating only the missing ones.
+ * AI sections, crime and property value run concurrently; `onSection` fires as each one is ready
+ * (crime can fire twice: AI narrative and FBI numbers arrive separately).
+ * @param {string} address
+ * @param {string[]|null} requested Lowercase section keys, or null for the full report
+ * @param {object} [hooks]
+ * @param {(section:string, value:object)=>void} [hooks.onSection]
+ * @param {(section:string, message:string)=>void} [hooks.onSectionError]
+ * @param {{sqft:number, beds?:number, year_built?:number}|null} [hooks.attributes] Home attributes; with sqft the report
+ *   also gets `value_estimate` (sent right after property_value)
+ * @param {boolean} [hooks.crimeDetails] Detailed crime mode: adds NIBRS breakdowns as `crime.details` (sent after crime)
+ * @returns {Promise<object>} propertyData plus `_cache` (section hits/misses), `_validation` and `_errors` when applicable
+ */
+async function buildPropertyReport(address, requested, hooks = {}) {
+  const wants = (k) => !requested || requested.includes(k);
+  const hits = [];
+  const misses = [];
+  const cached = (section, version) => {
+    const entry = sectionCache.get(address, section, { version });
+    (entry ? hits : misses).push(section);
+    return entry;
+  };
+  let propertyData = { address };
+  const validation = {};
+  const errors = {};
+  const emit = (section, value) => {
+    // AI crime narratives cached before crime.trend came from FBI data still carry a free-text trend
+    if (section === 'crime' && typeof value.trend === 'string') { const { trend, ...narrative } = value; value = narrative; }
+    propertyData[section] = section === 'crime' ? { ...(propertyData.crime || {}), ...value } : value;
+    if (hooks.onSection) hooks.onSection(section, value);
+  };
+  const fail = (section, message) => {
+    errors[section] = message;
+    if (hooks.onSectionError) hooks.onSectionError(section, message);
+  };
+
+  // Full report also gets the AI crime narrative; a crime-only lookup just gets the FBI numbers.
+  const aiSections = requested
+    ? requested.filter(s => AI_SECTION_PROMPTS[s] && s !== 'crime')
+    : Object.keys(AI_SECTION_PROMPTS);
 
-    // Cache lookup (only if full result or exact requested set cached)
-    const cached = cache.get(cacheKey);
-    if (cached && cached.expiresAt > Date.now()) {
-      return res.json({ ...cached.data, _cached: true });
+  async function aiTask() {
+    const toGenerate = [];
+    for (const section of aiSections) {
+      const entry = cached(aiCacheSection(section));
+      if (!entry) { toGenerate.push(section); continue; }
+      if (entry.meta) validation[section] = entry.meta;
+      emit(section, entry.value);
     }
+    if (!toGenerate.length) return;
+    // Nothing else to show: surface the AI error as before instead of per-section errors
+    const onlyAi = requested && requested.every(s => AI_SECTIONS.has(s)) && toGenerate.length === aiSections.length;
+    const ai = await generatePropertyDetails(address, toGenerate, {
+      onSection: (section, value, v) => {
+        validation[section] = v;
+        sectionCache.set(address, aiCacheSection(section), value, { meta: v });
+        emit(section, value);
+      },
+      onSectionError: (section, err) => { if (!onlyAi) fail(section, err.message); }
+    });
+    const failed = Object.keys(ai.errors);
+    if (onlyAi && failed.length === toGenerate.length) throw ai.errors[failed[0]];
+    if (onlyAi) failed.forEach(k => fail(k, ai.errors[k].message));
+  }
 
-    let propertyData = { address };
-    if (needAI) {
-      const aiData = await getPropertyDetailsFromGemini(address);
-      propertyData = { ...aiData };
+  // Crime (only if requested). Only real FBI results are cached, not "key missing" style notes.
+  async function crimeTask() {
+    let crimeData = cached('crime')?.value;
+    if (!crimeData) {
+      crimeData = await getCrimeData(address);
+      if (crimeData.stats && crimeData.stats.year) sectionCache.set(address, 'crime', crimeData);
+    }
+    emit('crime', crimeData);
+    if (!hooks.crimeDetails) return;
+    let details = cached('crime_details')?.value;
+    if (!details) {
+      details = await getCrimeDetails(crimeData);
+      if (details) sectionCache.set(address, 'crime_details', details);
     }
+    if (details) emit('crime', { details });
+  }
 
-    // Crime (only if requested)
-    if (wants('crime')) {
-      const crimeData = await getCrimeData(address);
-      propertyData.crime = { ...(propertyData.crime || {}), ...crimeData };
+  // Property value enrichment, cached until the Zillow dataset changes
+  async function propertyValueTask() {
+    await zillow.ensure();
+    const version = zillowDatasetVersion();
+    let pvData = cached('property_value', version)?.value;
+    if (!pvData) {
+      pvData = await getPropertyValueData(address);
+      if (pvData.zhvi !== undefined) sectionCache.set(address, 'property_value', pvData, { version });
     }
-    // Property value enrichment (ZIP preferred, fallback to Metro/MSA)
-    if (wants('property_value')) {
-      await ensureZillowLoaded();
-      await ensurePpsfLoaded();
-      if (zillowValues && (zillowValues.zipMap || zillowValues.msaMap)) {
-        const zip = extractZip(address);
-        let pv = null;
-        if (zip && zillowValues.zipMap?.has(zip)) {
-          pv = { type: 'zip', key: zip, ...zillowValues.zipMap.get(zip) };
-        } else {
-        // Try to derive "City, ST" for MSA match
-        const cityStateMatch = address.match(/([^,]+),\s*([A-Z]{2})\s+\d{5}/i);
-        if (cityStateMatch) {
-          const city = cityStateMatch[1].trim();
-          const st = cityStateMatch[2].toUpperCase();
-          const msaKey = `${city}, ${st}`.toUpperCase();
-          if (zillowValues.msaMap?.has(msaKey)) {
-            pv = { type: 'msa', key: msaKey, ...zillowValues.msaMap.get(msaKey) };
-          }
-        }
+    emit('property_value', pvData);
+    if (hooks.attributes?.sqft) {
+      const metroKey = pvData.price_per_sqft?.metro_key;
+      const estimate = estimateValueFromSize(pvData, metroKey ? zillow.entry('zhvi', 'msa', metroKey)?.value ?? null : null, hooks.attributes);
+      emit('value_estimate', estimate || { note: 'No metro price per sqft matched for this address; size-based estimate unavailable.', inputs: hooks.attributes });
+    }
+  }
 
-      // If still no pv, attempt smarter inference: geocode & nearest metro (state constrained) else fuzzy match
-            if (!pv && zillowValues.msaMap && zillowValues.msaMap.size) {
-              let inferredCity = null; let inferredState = null;
-              // 1. Geocode if Google key present
-              if (config.googleApiKey) {
-                try {
-                  const geoResp = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${config.googleApiKey}`);
-                  if (geoResp.ok) {
-                    const geoJson = await geoResp.json();
-                    const comp = geoJson.results?.[0]?.address_components || [];
-                    const locality = comp.find(c => c.types.includes('locality')) || comp.find(c => c.types.includes('postal_town'));
-                    const admin1 = comp.find(c => c.types.includes('administrative_area_level_1'));
-                    inferredCity = (locality && locality.long_name) || null;
-                    inferredState = (admin1 && admin1.short_name) || null;
-                  }
-                } catch (e) {
-                  console.warn('Geocode for metro inference failed:', e.message);
-                }
-              }
-              // 2. If still missing, fall back to simple regex parse (city before second comma)
-              if (!inferredCity || !inferredState) {
-                const parts = address.split(',').map(p=>p.trim());
-                if (parts.length >= 2) {
-                  inferredCity = inferredCity || parts[parts.length-2];
-                  const stMatch = parts[parts.length-1].match(/\b([A-Z]{2})\b/);
-                  if (stMatch) inferredState = inferredState || stMatch[1];
-                }
-              }
-              if (inferredCity && inferredState) {
-                const targetCityUpper = inferredCity.toUpperCase();
-                const targetStateUpper = inferredState.toUpperCase();
-                // Direct contains / startsWith search first
-                let bestKey = null;
-                for (const key of zillowValues.msaMap.keys()) {
-                  if (key.endsWith(`, ${targetStateUpper}`)) {
-                    const cityPart = key.split(',')[0];
-                    if (cityPart === targetCityUpper) { bestKey = key; break; }
-                    if (!bestKey && cityPart.startsWith(targetCityUpper)) bestKey = key; // partial match
-                  }
-                }
-                // Fuzzy Levenshtein if still none
-                if (!bestKey) {
-                  const levenshtein = (a,b)=>{ const m=[...Array(b.length+1)].map((_,i)=>i); for(let i=1;i<=a.length;i++){ let prev=i-1; m[0]=i; for(let j=1;j<=b.length;j++){ const tmp=m[j]; m[j]=a[i-1]===b[j-1]?prev:Math.min(prev,m[j-1],m[j])+1; prev=tmp;} } return m[b.length]; };
-                  let bestDist = Infinity;
-                  for (const key of zillowValues.msaMap.keys()) {
-                    if (key.endsWith(`, ${targetStateUpper}`)) {
-                      const cityPart = key.split(',')[0];
-                      const dist = levenshtein(cityPart, targetCityUpper);
-                      if (dist < bestDist) { bestDist = dist; bestKey = key; }
-                    }
-                  }
-                  if (bestDist > 3) bestKey = null; // discard poor match
-                }
-                // Nearest metro approach if still none or to refine selection
-                let nearestKey = null; let nearestMiles = Infinity;
-                let addressLoc = null;
-                if (config.googleApiKey) addressLoc = await geocode(address);
-                if (addressLoc) {
-                  const candidates = [];
-                  for (const key of zillowValues.msaMap.keys()) {
-                    if (key.endsWith(`, ${targetStateUpper}`)) candidates.push(key);
-                  }
-                  // Geocode each candidate city center ("City, ST") and compute distance
-                  for (const key of candidates) {
-                    const cityLoc = await geocode(key);
-                    if (!cityLoc) continue;
-                    const miles = haversineMiles(addressLoc, cityLoc);
-                    if (miles < nearestMiles) { nearestMiles = miles; nearestKey = key; }
-                  }
-                }
-                const chosenKey = nearestKey || bestKey;
-                if (chosenKey) {
-                  const entry = zillowValues.msaMap.get(chosenKey);
-                  pv = { type: 'msa', key: chosenKey, ...entry, inferred: true, distance_miles: isFinite(nearestMiles) ? +nearestMiles.toFixed(1) : null };
-                }
-              }
-            }
-        }
-        if (pv) {
-        // Build yearly aggregates from series (last available month per year)
-        let yearly = [];
-        if (pv.series && pv.series.length) {
-          const byYear = new Map();
-          for (const pt of pv.series) {
-            const year = pt.ym.slice(0,4);
-            // overwrite so last month wins
-            byYear.set(year, pt.value);
-          }
-          yearly = Array.from(byYear.entries())
-            .sort((a,b)=>a[0].localeCompare(b[0]))
-            .map(([year, zhvi])=>({ year, zhvi }));
-        }
-        // Region options (other MSAs within same state) to allow user selection of alternate surrounding areas
-        let region_options = null;
-        if (pv.type === 'msa' && zillowValues?.msaMap) {
-          try {
-            const stateCode = (pv.key.split(',').pop() || '').trim();
-            if (stateCode) {
-              region_options = Array.from(zillowValues.msaMap.keys())
-                .filter(k => k.endsWith(`, ${stateCode}`))
-                .sort();
-            }
-          } catch {}
-        }
-        propertyData.property_value = {
-          type: pv.type,
-          region: pv.key,
-          latest_month: pv.date,
-          zhvi: pv.value,
-          source: 'Zillow Home Value Index (local CSV)',
-              note: pv.type === 'msa' ? (pv.inferred ? 'Nearest metro-level median (inferred) – informational only.' : 'Metro-level median (no ZIP match) – informational only.') : 'ZIP-level median – informational only.',
-          dataset_loaded_at: zillowValues.loadedAt ? zillowValues.loadedAt.toISOString() : null,
-          dataset_downloaded_at: zillowDownloadTimestamp ? zillowDownloadTimestamp.toISOString() : null,
-          distance_miles: (pv.distance_miles !== undefined ? pv.distance_miles : null),
-          yearly,
-          series: Array.isArray(pv.series) ? pv.series.slice(-240) : [], // include up to last 20 years monthly for chart fallback
-          region_options
-        };
-        // Attach price per sqft; if we matched a ZIP, derive MSA key independently.
-        if (zillowPpsf && zillowPpsf.msaMap) {
-          let ppsfKey = null;
-            if (pv.type === 'msa') ppsfKey = pv.key.toUpperCase();
-            else ppsfKey = findMsaKeyForAddress(address, zillowPpsf.msaMap);
-          if (ppsfKey && zillowPpsf.msaMap.has(ppsfKey)) {
-            const ppsfEntry = zillowPpsf.msaMap.get(ppsfKey);
-            propertyData.property_value.price_per_sqft = {
-              latest_month: ppsfEntry.date,
-              value: ppsfEntry.value,
-              series: ppsfEntry.series.slice(-240),
-              metro_key: ppsfKey,
-              inferred_from_zip: pv.type === 'zip'
-            };
-          }
-        }
-        } else {
-          propertyData.property_value = { note: 'No matching ZIP or Metro (MSA) in loaded dataset.', dataset_loaded_at: zillowValues.loadedAt ? zillowValues.loadedAt.toISOString() : null, dataset_downloaded_at: zillowDownloadTimestamp ? zillowDownloadTimestamp.toISOString() : null };
-        }
-      } else {
-        propertyData.property_value = { note: 'Zillow dataset not loaded (set ZILLOW_ZIP_ZHVI_CSV in .env).' };
-      }
+  const guard = (section, task) => task().catch(err => {
+    console.error(`Section ${section} failed:`, err);
+    fail(section, err.message || `Failed to retrieve ${section}.`);
+  });
+  await Promise.all([
+    aiSections.length ? aiTask() : null,
+    wants('crime') ? guard('crime', crimeTask) : null,
+    wants('property_value') ? guard('property_value', propertyValueTask) : null
+  ]);
+
+  // If selective return, strip unrequested keys
+  if (requested) {
+    const filtered = {};
+    for (const key of Object.keys(propertyData)) {
+      if (wants(key) || (key === 'value_estimate' && wants('property_value'))) filtered[key] = propertyData[key];
     }
-    if (needAI) propertyData = normalizePropertyData(propertyData);
+    // Always include address so downstream features (place details) have context.
+    filtered.address = address;
+    propertyData = filtered;
+  }
+  // How the address was read (canonical form used for cache keys and lookups, or why it couldn't be parsed)
+  const { input, ...parsedAddress } = parseAddress(address);
+  propertyData._address = parsedAddress;
+  if (Object.keys(validation).length) propertyData._validation = validation;
+  if (Object.keys(errors).length) propertyData._errors = errors;
+  propertyData._cache = { hits, misses };
+  if (!misses.length) propertyData._cached = true;
+  return propertyData;
+}
 
-    // If selective return, strip unrequested keys
-    if (requested) {
-      const filtered = {};
-      for (const key of Object.keys(propertyData)) {
-        if (wants(key)) filtered[key] = propertyData[key];
-      }
-      // Always include address so downstream features (place details) have context.
-      filtered.address = address;
-      propertyData = filtered;
+// Boolean request flags arrive as true (JSON) or "1" / "true" (query string)
+const isTruthyFlag = (v) => v === true || v === 'true' || v === '1';
+
+// Normalize requested sections (lowercase, array or comma list). None provided => null (ALL, legacy behavior)
+function parseRequestedSections(sections) {
+  const list = Array.isArray(sections) ? sections : (typeof sections === 'string' ? sections.split(',') : []);
+  const cleaned = list.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  return cleaned.length ? Array.from(new Set(cleaned)) : null;
+}
+
+// Define the API endpoint that our front-end will call
+app.post('/api/getPropertyDetails', async (req, res) => {
+  const start = Date.now();
+  try {
+    const { address, sections } = req.body || {};
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ error: 'Invalid or missing address.' });
     }
+    const { attributes, errors } = parsePropertyAttributes(req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
 
-    cache.set(cacheKey, { data: propertyData, expiresAt: Date.now() + CACHE_TTL });
+    const crimeDetails = isTruthyFlag(req.body.crime_details);
+    const propertyData = await buildPropertyReport(address, parseRequestedSections(sections), { attributes, crimeDetails });
     res.json(propertyData);
   } catch (error) {
     console.error('Error fetching property details:', error);
@@ -822,6 +834,164 @@ app.post('/api/getPropertyDetails', async (req, res) => {
   }
 });
 
+// Streaming variant: each section is sent as a Server-Sent Event as soon as it is ready.
+// Events: `section` { section, data }, `section_error` { section, error }, then `summary` (or `failed`).
+app.get('/api/getPropertyDetails/stream', async (req, res) => {
+  const start = Date.now();
+  const address = typeof req.query.address === 'string' ? req.query.address.trim() : '';
+  if (!address) {
+    return res.status(400).json({ error: 'Invalid or missing address.' });
+  }
+  const { attributes, errors } = parsePropertyAttributes(req.query);
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  let closed = false;
+  req.on('close', () => { closed = true; });
+  const send = (event, payload) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+  try {
+    const propertyData = await buildPropertyReport(address, parseRequestedSections(req.query.sections), {
+      onSection: (section, data) => send('section', { section, data }),
+      onSectionError: (section, error) => send('section_error', { section, error }),
+      attributes,
+      crimeDetails: isTruthyFlag(req.query.crime_details)
+    });
+    send('summary', {
+      address,
+      sections: Object.keys(propertyData).filter(k => !k.startsWith('_') && k !== 'address'),
+      _validation: propertyData._validation,
+      _errors: propertyData._errors,
+      _cache: propertyData._cache,
+      elapsed_ms: Date.now() - start
+    });
+  } catch (error) {
+    console.error('Error streaming property details:', error);
+    send('failed', { error: error.message || 'Failed to retrieve property details.' });
+  } finally {
+    res.end();
+    console.log(`Handled /api/getPropertyDetails/stream in ${Date.now() - start}ms`);
+  }
+});
+
+// Side-by-side comparison: 2–4 addresses, reports built concurrently and returned together.
+// Defaults to the sections the compare view lines up (values, crime, amenity scores, schools).
+const COMPARE_SECTIONS = ['property_value', 'crime', 'amenities_access', 'schools'];
+app.post('/api/compare', async (req, res) => {
+  const start = Date.now();
+  const { addresses, sections } = req.body || {};
+  const list = Array.isArray(addresses) ? Array.from(new Set(addresses.filter(a => typeof a === 'string').map(a => a.trim()).filter(Boolean))) : [];
+  if (list.length < 2 || list.length > 4) {
+    return res.status(400).json({ error: 'Provide 2 to 4 distinct addresses to compare.' });
+  }
+  const requested = parseRequestedSections(sections) || COMPARE_SECTIONS;
+  const results = await Promise.allSettled(list.map(address => buildPropertyReport(address, requested)));
+  res.json({
+    sections: requested,
+    reports: results.map((r, i) => (r.status === 'fulfilled'
+      ? { address: list[i], report: r.value }
+      : { address: list[i], error: r.reason?.message || 'Failed to retrieve property details.' }))
+  });
+  console.log(`Handled /api/compare (${list.length} addresses) in ${Date.now() - start}ms`);
+});
+
+// Inspect cached sections (optionally for one address)
+app.get('/api/cache', (req, res) => {
+  res.json({ stats: sectionCache.stats(), entries: sectionCache.list({ address: req.query.address }) });
+});
+
+// Purge cached sections by address and/or section (no filter purges everything)
+app.delete('/api/cache', (req, res) => {
+  const { address, section } = req.query;
+  const removed = sectionCache.purge({ address, section: section ? String(section).toLowerCase() : undefined });
+  res.json({ ok: true, removed });
+});
+
+// ---------------- Batch lookup jobs ---------------- //
+const BATCH_MAX_ADDRESSES = config.batch.maxAddresses;
+const batchJobs = createBatchJobs({
+  dir: path.join(DATA_DIR, 'jobs'),
+  concurrency: config.batch.concurrency,
+  runItem: (address, sections) => buildPropertyReport(address, sections)
+});
+batchJobs.resume();
+
+// Create a batch job from a JSON body { addresses: [...], sections } / { csv: "...", sections }
+// or a raw text/csv upload (sections via ?sections=a,b).
+app.post('/api/batch', async (req, res) => {
+  try {
+    const body = req.body;
+    let addresses = [];
+    let sections = req.query.sections;
+    if (typeof body === 'string') {
+      addresses = await addressesFromCsv(body);
+    } else if (body && typeof body === 'object') {
+      if (Array.isArray(body.addresses)) addresses = body.addresses.filter(a => typeof a === 'string').map(a => a.trim()).filter(Boolean);
+      else if (typeof body.csv === 'string') addresses = await addressesFromCsv(body.csv);
+      if (body.sections) sections = body.sections;
+    }
+    if (!addresses.length) {
+      return res.status(400).json({ error: 'Provide addresses as a JSON array (addresses) or CSV (address column or first column).' });
+    }
+    if (addresses.length > BATCH_MAX_ADDRESSES) {
+      return res.status(400).json({ error: `Too many addresses (${addresses.length}); the limit is ${BATCH_MAX_ADDRESSES} per job.` });
+    }
+    const job = batchJobs.create(Array.from(new Set(addresses)), parseRequestedSections(sections));
+    res.status(202).json(batchJobs.summarize(job));
+  } catch (error) {
+    console.error('Error creating batch job:', error);
+    res.status(500).json({ error: error.message || 'Failed to create batch job.' });
+  }
+});
+
+app.get('/api/batch', (req, res) => {
+  res.json({ jobs: batchJobs.list().map(job => { const { items, ...meta } = batchJobs.summarize(job); return meta; }) });
+});
+
+app.get('/api/batch/:id', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(batchJobs.summarize(job));
+});
+
+// Combined results once the job has finished: ?format=json (default) or csv
+app.get('/api/batch/:id/results', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: 'Job still running', ...batchJobs.summarize(job) });
+  }
+  if (String(req.query.format || 'json').toLowerCase() === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="batch-${job.id}.csv"`);
+    return res.send(jobResultsToCsv(job));
+  }
+  res.set('Content-Disposition', `attachment; filename="batch-${job.id}.json"`);
+  res.json({ id: job.id, sections: job.sections, created_at: job.created_at, completed_at: job.completed_at, results: job.items.map(i => ({ address: i.address, status: i.status, error: i.error, report: i.result })) });
+});
+
+// Address parsing as used for cache keys, crime and Zillow matching; 400 explains why an address can't be parsed
+app.get('/api/parseAddress', (req, res) => {
+  const parsed = parseAddress(req.query.address);
+  if (!parsed.canonical) return res.status(400).json({ error: parsed.errors.join(' '), ...parsed });
+  res.json(parsed);
+});
+
+// Structured geocode (coordinates, city, county, state, ZIP, FIPS) as used by the report sections
+app.get('/api/geocode', async (req, res) => {
+  const address = String(req.query.address || '').trim();
+  if (!address) return res.status(400).json({ error: 'Missing address' });
+  try {
+    const place = await geocoder.geocode(address);
+    if (!place) return res.status(404).json({ error: 'Address could not be geocoded' });
+    res.json(place);
+  } catch (error) {
+    console.error('Error geocoding address:', error);
+    res.status(500).json({ error: error.message || 'Failed to geocode address.' });
+  }
+});
+
 app.post('/api/getPlaceDetails', async (req, res) => {
   const { placeName, address } = req.body;
 
@@ -830,38 +1000,33 @@ app.post('/api/getPlaceDetails', async (req, res) => {
   }
 
   try {
-    const geocodeResult = await mapsClient.geocode({
-      params: {
-        address: address,
-        key: config.googleApiKey,
-      },
-    });
-
-    const location = geocodeResult.data.results[0].geometry.location;
+    const home = await geocoder.geocode(address);
+    if (!home) return res.status(404).json({ error: 'Address could not be geocoded' });
+    const location = { lat: home.lat, lng: home.lng };
 
-    const placeResult = await mapsClient.placesNearby({
+    const placeResult = await mapsLimit.run(() => mapsClient.placesNearby({
       params: {
         location: location,
         radius: 16093, // 10 miles in meters
         keyword: placeName,
-        key: config.googleApiKey,
+        key: apiKeys.google,
       },
-    });
+    }));
 
     const place = placeResult.data.results[0];
 
-    const distanceResult = await mapsClient.distancematrix({
+    const distanceResult = await mapsLimit.run(() => mapsClient.distancematrix({
       params: {
         origins: [address],
         destinations: [`place_id:${place.place_id}`],
-        key: config.googleApiKey,
+        key: apiKeys.google,
         units: 'imperial',
       },
-    });
+    }));
 
     const element = distanceResult.data.rows[0].elements[0];
 
-    const origin = geocodeResult.data.results[0].geometry.location;
+    const origin = location;
     const destination = place.geometry.location;
 
     const bearing = Math.atan2(destination.lng - origin.lng, destination.lat - origin.lat);
@@ -882,45 +1047,86 @@ app.post('/api/getPlaceDetails', async (req, res) => {
   }
 });
 
+/**
+ * Try the FBI auth variants in order against one API path, directly (no cache or remembered variant) so the key
+ * itself is what's tested; stops at the first that works.
+ * @param {string} apiPath From crimeData.pathFor()
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=15000] Per attempt
+ * @returns {Promise<{winner:object|null, attempts:object[]}>}
+ */
+async function probeFbiAuth(apiPath, { timeoutMs = 15000 } = {}) {
+  const attempts = [];
+  const key = apiKeys.fbi;
+  const [p, existingQuery] = apiPath.split('?');
+  const existingParams = new URLSearchParams(existingQuery || '');
+  for (const v of AUTH_VARIANTS) {
+    const params = new URLSearchParams(existingParams.toString());
+    if (v.param) params.set(v.param, key);
+    const url = `${FBI_BASE}${p}?${params.toString()}`;
+    const r = await upstream.fetch(url, { headers: v.header ? { [v.header]: key } : {}, signal: AbortSignal.timeout(timeoutMs) });
+    const body = await r.text();
+    let parsed; try { parsed = JSON.parse(body); } catch(_) {}
+    const sample = parsed?.results?.[0] || null;
+    attempts.push({ variant: v.name, status: r.status, ok: r.ok, error: parsed?.error || parsed?.message, samplePresent: !!sample });
+    if (r.ok) return { winner: { variant: v.name, url, sample, status: r.status }, attempts };
+  }
+  return { winner: null, attempts };
+}
+
 // Simple FBI key test endpoint: optional state param (default WA) and year range shortened to one year.
 app.get('/api/testFbiKey', async (req, res) => {
-  if (!config.fbiApiKey) return res.status(400).json({ ok: false, error: 'Missing FBI_API_KEY' });
+  if (!apiKeys.fbi) return res.status(400).json({ ok: false, error: 'Missing FBI_API_KEY' });
   const state = (req.query.state || 'WA').toUpperCase();
   const now = new Date();
   const year = now.getFullYear() - 2; // pick a likely complete year
-  const path = `/estimates/states/${state}/${year}/${year}?per_page=1&page=1`;
+  let path;
   try {
-    const attempts = [];
-    const base = 'https://api.usa.gov/crime/fbi/sapi/api';
-    const key = config.fbiApiKey;
-    const variants = [
-      { name: 'header:X-API-Key', headers: { 'X-API-Key': key } },
-  { name: 'header:X-Api-Key', headers: { 'X-Api-Key': key } },
-      { name: 'query:api_key', q: { api_key: key } },
-      { name: 'query:API_KEY', q: { API_KEY: key } },
-      { name: 'query:apikey', q: { apikey: key } },
-      { name: 'query:key', q: { key } }
-    ];
-    const [p, existingQuery] = path.split('?');
-    const existingParams = new URLSearchParams(existingQuery || '');
-    let winner = null;
-    for (const v of variants) {
-      const params = new URLSearchParams(existingParams.toString());
-      if (v.q) Object.entries(v.q).forEach(([k,val]) => params.set(k, val));
-      const url = `${base}${p}?${params.toString()}`;
-      const r = await fetch(url, { headers: v.headers || {} });
-      const body = await r.text();
-      let parsed; try { parsed = JSON.parse(body); } catch(_) {}
-      const sample = parsed?.results?.[0] || null;
-      attempts.push({ variant: v.name, status: r.status, ok: r.ok, error: parsed?.error || parsed?.message, samplePresent: !!sample });
-      if (r.ok) { winner = { variant: v.name, url, sample, status: r.status }; break; }
-    }
-    res.json({ overall_ok: !!winner, winner, attempts, note: !winner ? 'All auth variants failed (likely invalid / unauthorized key).' : undefined });
+    path = crimeData.pathFor('stateEstimates', { state_abbr: state, since: year, until: year, page: 1, per_page: 1 });
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  try {
+    const { winner, attempts } = await probeFbiAuth(path);
+    res.json({ overall_ok: !!winner, winner, attempts, remembered_variant: fbi.describe().auth_variant, note: !winner ? 'All auth variants failed (likely invalid / unauthorized key).' : undefined });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+/**
+ * What the current keys, upstream modes and datasets turn on, for the startup summary and /api/debugEnv.
+ * Dataset files are checked for existence only (they load on first use).
+ * @returns {{feature:string, enabled:boolean, detail:string}[]}
+ */
+function describeFeatures() {
+  const fileStatus = (src) => (!src ? null : /^https?:\/\//i.test(src) ? `${src} (download)` : fs.existsSync(src) ? src : null);
+  const ai = llm.describeLlm();
+  const aiReady = {
+    gemini: [!!upstream.apiKey('gemini', config.geminiApiKey), 'GEMINI_API_KEY missing'],
+    openai: [!!config.llm.openai.baseUrl, 'OPENAI_BASE_URL missing'],
+    fixture: [fs.existsSync(config.llm.fixture.path), `fixture ${config.llm.fixture.path} not found`]
+  }[ai.provider];
+  const backends = geocoder.describe().backends;
+  const skipped = config.geocoder.backends.filter(b => !backends.includes(b))
+    .map(b => `${b} (${b === 'google' ? 'GOOGLE_API_KEY missing' : b === 'gazetteer' ? `${GAZETTEER_FILE} not found` : 'unavailable'})`);
+  const metros = metroIndex.describe();
+  const features = [
+    { feature: 'AI sections', enabled: aiReady[0], detail: aiReady[0] ? `${ai.provider} (${ai.model})` : aiReady[1] },
+    { feature: 'Crime data (FBI)', enabled: !!apiKeys.fbi, detail: apiKeys.fbi ? `${CRIME_TREND_YEARS}-year trends, benchmarks, details` : 'FBI_API_KEY missing' },
+    { feature: 'Geocoding', enabled: backends.length > 0, detail: [backends.join(', ') || 'no backend', skipped.length ? `skipped: ${skipped.join(', ')}` : ''].filter(Boolean).join('; ') },
+    { feature: 'Place details', enabled: !!apiKeys.google, detail: apiKeys.google ? 'Google Places + Distance Matrix' : 'GOOGLE_API_KEY missing' },
+    ...zillow.definitions().map(d => {
+      const src = fileStatus(d.source());
+      return { feature: /^Zillow /.test(d.name) ? d.name : `Zillow ${d.name}`, enabled: !!src, detail: src || (d.source() ? `${d.source()} not found` : 'no source configured') };
+    }),
+    { feature: 'Metro inference', enabled: metros.metros > 0, detail: metros.metros ? `${metros.metros} metros (${metros.with_boundaries} with boundaries)` : `${config.metros.centroidsCsv} not found` }
+  ];
+  const offline = Object.entries(upstream.describe().modes).filter(([, m]) => m !== 'live');
+  if (offline.length) features.push({ feature: 'Upstream record/replay', enabled: true, detail: `${offline.map(([p, m]) => `${p}=${m}`).join(', ')} (others live)` });
+  return features;
+}
+
 // Debug endpoint to confirm keys are loading (masked)
 app.get('/api/debugEnv', (req, res) => {
   const mask = (k) => k ? `${k.slice(0,4)}...${k.slice(-4)} (len:${k.length})` : null;
@@ -928,11 +1134,174 @@ app.get('/api/debugEnv', (req, res) => {
     gemini_present: !!config.geminiApiKey,
     google_present: !!config.googleApiKey,
     fbi_present: !!config.fbiApiKey,
-  zillow_csv: process.env.ZILLOW_ZIP_ZHVI_CSV || null,
+    llm: llm.describeLlm(),
+    zillow_csv: config.zillowDatasets.zhviWide,
+    zillow_datasets: zillow.describe(),
+    geocoder: geocoder.describe(),
+    metro_index: metroIndex.describe(),
+    fbi: { ...fbi.describe(), field_drift: crimeData.fieldReport() },
+    upstream: upstream.describe(),
+    features: describeFeatures(),
+    config: config.describe(),
     fbi_masked: mask(config.fbiApiKey)
   });
 });
 
+// ---------------- Health ---------------- //
+// /api/health/live answers whenever the process serves requests. /api/health runs one cheap call per upstream
+// (Gemini model lookup, one Google geocode / nearby search / distance matrix, one FBI estimate) and reports the
+// Zillow datasets and caches; /api/health/ready is the same verdict without the details. Both answer 503 while a
+// required dependency (AI provider, ZHVI dataset) is unusable. Upstream results are reused for
+// HEALTH_CACHE_SECONDS (?refresh=1 reruns them): the Google probes are billed requests.
+const startedAt = new Date();
+const HEALTH_ADDRESS = '400 Pine St, Seattle, WA 98101';
+const HEALTH_ORIGIN = { lat: 47.6114, lng: -122.3305 };
+const HEALTH_DESTINATION = { lat: 47.6205, lng: -122.3493 };
+let lastHealthChecks = null; // { at, promise } of the latest upstream check run
+
+// Run one check against the HEALTH_TIMEOUT_MS deadline -> { status: 'ok' | 'error', latency_ms, detail }
+async function timedCheck(run) {
+  const started = Date.now();
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${config.health.timeoutMs}ms`)), config.health.timeoutMs);
+  });
+  try {
+    const detail = await Promise.race([run(), deadline]);
+    return { status: 'ok', latency_ms: Date.now() - started, detail };
+  } catch (e) {
+    return { status: 'error', latency_ms: Date.now() - started, detail: e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Google web services answer 200 with a status field: anything but OK / ZERO_RESULTS means the key or API is unusable
+function googleStatus(api, data) {
+  if (data?.status === 'OK' || data?.status === 'ZERO_RESULTS') return `${api} ${data.status}`;
+  throw new Error(`${api} ${data?.status || 'failed'}${data?.error_message ? `: ${data.error_message}` : ''}`);
+}
+// The Maps client rejects non-2xx answers; their body still carries the Google status
+const googleResponse = (e) => { if (e.response?.data?.status) return e.response; throw e; };
+
+/**
+ * Upstream checks in report order. `enabled` is [on, reason when off]; a required check that isn't ok makes the
+ * server not ready. `run` resolves to a detail string or throws.
+ */
+function healthDependencies() {
+  const ai = llm.describeLlm();
+  const google = [!!apiKeys.google, 'GOOGLE_API_KEY missing'];
+  const year = new Date().getFullYear() - 2;
+  return [
+    { name: 'ai', label: `AI provider (${ai.provider})`, provider: ai.provider === 'gemini' ? 'gemini' : null, required: true, enabled: [true],
+      run: () => llm.checkProvider({ timeoutMs: config.health.timeoutMs }) },
+    { name: 'google_geocoding', label: 'Google Geocoding', provider: 'google_maps', enabled: google,
+      run: async () => googleStatus('geocode', await (await mapsFetch(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(HEALTH_ADDRESS)}&key=${apiKeys.google}`)).json()) },
+    { name: 'google_places', label: 'Google Places', provider: 'google_maps', enabled: google,
+      run: async () => {
+        const r = await mapsLimit.run(() => mapsClient.placesNearby({ params: { location: HEALTH_ORIGIN, radius: 500, keyword: 'coffee', key: apiKeys.google } })).catch(googleResponse);
+        return googleStatus('nearbysearch', r.data);
+      } },
+    { name: 'google_distance_matrix', label: 'Google Distance Matrix', provider: 'google_maps', enabled: google,
+      run: async () => {
+        const r = await mapsLimit.run(() => mapsClient.distancematrix({ params: { origins: [HEALTH_ORIGIN], destinations: [HEALTH_DESTINATION], key: apiKeys.google } })).catch(googleResponse);
+        const detail = googleStatus('distancematrix', r.data);
+        const element = r.data.rows?.[0]?.elements?.[0];
+        if (element?.status !== 'OK') throw new Error(`distancematrix element ${element?.status || 'missing'}`);
+        return `${detail} (${element.distance.text})`;
+      } },
+    { name: 'fbi', label: 'FBI Crime Data API', provider: 'fbi', enabled: [!!apiKeys.fbi, 'FBI_API_KEY missing'],
+      run: async () => {
+        const { winner, attempts } = await probeFbiAuth(crimeData.pathFor('stateEstimates', { state_abbr: 'WA', since: year, until: year, page: 1, per_page: 1 }), { timeoutMs: config.health.timeoutMs });
+        if (!winner) throw new Error(`every auth variant rejected (${attempts.map(a => `${a.variant}: ${a.status}`).join(', ')})`);
+        return `auth variant ${winner.variant} accepted`;
+      } }
+  ];
+}
+
+// Run every upstream check in parallel (disabled ones are reported without a call)
+function runHealthChecks() {
+  return Promise.all(healthDependencies().map(async ({ name, label, provider, required = false, enabled, run }) => {
+    const base = { name, label, required, mode: upstream.mode(provider) };
+    if (!enabled[0]) return { ...base, status: 'disabled', latency_ms: null, detail: enabled[1] };
+    return { ...base, ...(await timedCheck(run)) };
+  }));
+}
+
+// Zillow datasets: regions loaded per type, latest month and how far behind the current month it is.
+// A dataset that isn't loaded yet starts loading, so a readiness probe warms the server up.
+function healthDatasets() {
+  const now = new Date();
+  const datasets = zillow.describe().map(d => {
+    const [y, m] = (d.latest_month || '').split('-').map(Number);
+    const monthsBehind = y ? (now.getFullYear() - y) * 12 + (now.getMonth() + 1 - m) : null;
+    const status = !d.configured_source ? 'disabled'
+      : d.loaded ? (monthsBehind > config.health.zillowStaleMonths ? 'stale' : 'ok')
+      : d.last_error && !d.loading ? 'error' : 'loading';
+    const detail = status === 'disabled' ? 'no source configured'
+      : status === 'error' ? d.last_error.error
+      : status === 'loading' ? `loading ${d.loading?.source || d.configured_source}${d.loading?.rows ? ` (${d.loading.rows} rows)` : ''}`
+      : `${d.latest_month}, ${monthsBehind} month${monthsBehind === 1 ? '' : 's'} behind`;
+    return {
+      name: d.id, label: d.name, required: zillow.definitions().find(def => def.id === d.id).required === true, status, detail,
+      regions: d.regions, latest_month: d.latest_month, months_behind: monthsBehind, loaded_at: d.loaded_at, downloaded_at: d.downloaded_at
+    };
+  });
+  zillow.ensure();
+  return datasets;
+}
+
+// Entries, hit rate and size on disk of each persistent cache
+function healthCaches() {
+  const bytes = (file) => { try { return fs.statSync(file).size; } catch (_) { return 0; } };
+  return [['sections', sectionCache.stats()], ['fbi', fbi.describe().cache], ['geocode', geocoder.describe().cache]]
+    .map(([name, stats]) => ({ name, ...stats, bytes: bytes(stats.file) }));
+}
+
+/**
+ * Full health report. Overall status: ok, degraded (an optional dependency failed or a dataset is stale) or
+ * unavailable (a required one isn't usable; `ready` is false).
+ * @param {object} [opts]
+ * @param {boolean} [opts.refresh=false] Rerun the upstream checks even if the last run is recent
+ */
+async function healthReport({ refresh = false } = {}) {
+  if (refresh || !lastHealthChecks || Date.now() - lastHealthChecks.at > config.health.cacheSeconds * 1000) {
+    lastHealthChecks = { at: Date.now(), promise: runHealthChecks() };
+  }
+  const run = lastHealthChecks;
+  const dependencies = await run.promise;
+  const datasets = healthDatasets();
+  const all = [...dependencies, ...datasets];
+  const notReady = all.filter(d => d.required && !['ok', 'stale'].includes(d.status)).map(d => d.name);
+  const degraded = all.some(d => d.status === 'error' || d.status === 'stale');
+  return {
+    status: notReady.length ? 'unavailable' : degraded ? 'degraded' : 'ok',
+    ready: !notReady.length,
+    not_ready: notReady,
+    checked_at: new Date(run.at).toISOString(),
+    uptime_s: Math.round((Date.now() - startedAt) / 1000),
+    dependencies,
+    datasets,
+    caches: healthCaches()
+  };
+}
+
+// Liveness: no upstream calls
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'ok', started_at: startedAt.toISOString(), uptime_s: Math.round((Date.now() - startedAt) / 1000) });
+});
+
+app.get(['/api/health', '/api/health/ready'], async (req, res) => {
+  try {
+    const report = await healthReport({ refresh: req.query.refresh === '1' });
+    const { status, ready, not_ready, checked_at } = report;
+    res.status(ready ? 200 : 503).json(req.path.endsWith('/ready') ? { status, ready, not_ready, checked_at } : report);
+  } catch (e) {
+    console.error('Health check failed:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.listen(port, host, () => {
   // Determine a likely LAN IPv4 address
   const nets = os.networkInterfaces();
@@ -955,29 +1324,102 @@ app.listen(port, host, () => {
   console.log(`  FBI_API_KEY: ${mask(config.fbiApiKey)}`);
   console.log(`  GEMINI_API_KEY: ${mask(config.geminiApiKey)}`);
   console.log(`  GOOGLE_API_KEY: ${mask(config.googleApiKey)}`);
+  const features = describeFeatures();
+  console.log('Features:');
+  for (const f of features) console.log(`  [${f.enabled ? 'on ' : 'off'}] ${f.feature}: ${f.detail}`);
 });
 
 // Endpoint to refresh Zillow dataset on-demand
 app.post('/api/refreshZillow', async (req, res) => {
   try {
-    const result = await refreshZillowDataset();
+    const result = await zillow.refresh();
     res.json({ ok: true, result });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// Monthly cost / income needed for a price: the matched ZHVI (address or region), a user-entered price,
+// or square footage x metro price per sqft. Loan terms come from the body (defaults in affordability.js).
+app.post('/api/affordability', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { address, region } = body;
+    const { inputs, errors } = normalizeAffordabilityInputs(body);
+    const price = body.price !== undefined && body.price !== '' ? Number(body.price) : null;
+    const sqft = body.sqft !== undefined && body.sqft !== '' ? Number(body.sqft) : null;
+    if (price !== null && !(price > 0)) errors.push('price must be a positive number');
+    if (sqft !== null && !(sqft > 0)) errors.push('sqft must be a positive number');
+    if (address !== undefined && typeof address !== 'string') errors.push('address must be a string');
+    if (region !== undefined && typeof region !== 'string') errors.push('region must be a string');
+    if (price === null && !address && !region) errors.push('Provide an address or region, or a price');
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+    // Matched values for the address / region (series drives the what-if, PPSF the sqft basis)
+    let pv = null;
+    if (address || region) {
+      await zillow.ensure();
+      if (region) {
+        const metro = region.toUpperCase();
+        const entry = zillow.entry('zhvi', 'msa', metro);
+        if (entry) pv = attachZillowDatasets({ region: metro, latest_month: entry.date, zhvi: entry.value, series: entry.series }, { metro });
+      } else {
+        const version = zillowDatasetVersion();
+        pv = sectionCache.get(address, 'property_value', { version })?.value;
+        if (!pv) {
+          pv = await getPropertyValueData(address);
+          if (pv.zhvi !== undefined) sectionCache.set(address, 'property_value', pv, { version });
+        }
+      }
+    }
+
+    let basis;
+    let basePrice;
+    if (price !== null) {
+      basis = 'price';
+      basePrice = price;
+    } else if (sqft !== null) {
+      const ppsf = pv?.price_per_sqft?.value;
+      if (!ppsf) return res.status(404).json({ error: 'No metro price per sqft available for this address / region.' });
+      basis = 'sqft';
+      basePrice = sqft * ppsf;
+    } else {
+      if (!pv || pv.zhvi === undefined) return res.status(404).json({ error: 'No home value matched for this address / region.' });
+      basis = 'zhvi';
+      basePrice = pv.zhvi;
+    }
+
+    res.json({
+      basis,
+      region: pv?.region || null,
+      latest_month: pv?.latest_month || null,
+      sqft: basis === 'sqft' ? sqft : null,
+      price_per_sqft: basis === 'sqft' ? pv.price_per_sqft.value : null,
+      inputs,
+      ...computeAffordability(basePrice, inputs),
+      // Same terms applied to the area's value history, scaled to today's price
+      what_if: pv?.series ? affordabilityWhatIf(pv.series, basePrice, inputs) : [],
+      note: 'Estimates only: fixed-rate loan, no PMI/HOA; the what-if keeps today\'s rate.'
+    });
+  } catch (e) {
+    console.error('Affordability failed:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Return value series for a specific region key (MSA) so frontend can switch regions without re-running AI sections
 app.post('/api/regionValues', async (req, res) => {
   try {
     const { region } = req.body || {};
     if (!region) return res.status(400).json({ error: 'Missing region' });
-    await ensureZillowLoaded();
-    await ensurePpsfLoaded();
-    if (!zillowValues?.msaMap?.has(region.toUpperCase())) {
+    if (typeof region !== 'string') return res.status(400).json({ error: 'region must be a string' });
+    const metro = region.toUpperCase();
+    await zillow.ensure();
+    const msaMap = zillow.get('zhvi')?.maps.msa;
+    if (!msaMap?.has(metro)) {
       return res.status(404).json({ error: 'Region not found' });
     }
-    const entry = zillowValues.msaMap.get(region.toUpperCase());
+    const entry = zillow.entry('zhvi', 'msa', metro);
     // Build yearly
     let yearly = [];
     if (entry.series && entry.series.length) {
@@ -987,17 +1429,15 @@ app.post('/api/regionValues', async (req, res) => {
     }
     const resp = {
       type: 'msa',
-      region: region.toUpperCase(),
+      region: metro,
       latest_month: entry.date,
       zhvi: entry.value,
       yearly,
-      series: entry.series.slice(-240)
+      series: entry.series.slice(-240),
+      trends: computeValueTrends(entry.series)
     };
-    // attach PPSF if available
-    if (zillowPpsf?.msaMap?.has(region.toUpperCase())) {
-      const ppsfEntry = zillowPpsf.msaMap.get(region.toUpperCase());
-      resp.price_per_sqft = { latest_month: ppsfEntry.date, value: ppsfEntry.value, series: ppsfEntry.series.slice(-240), metro_key: region.toUpperCase() };
-    }
+    // attach metro-level datasets (price per sqft, market heat, ...) if available
+    attachZillowDatasets(resp, { metro });
     res.json(resp);
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -0,0 +1,18 @@
+// Address parsing (address.js): the canonical form feeds cache keys, crime lookups and Zillow matching.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress } = require('../address');
+
+test('a trailing country is stripped in every spelling', () => {
+  for (const suffix of [', USA', ' US', ', U.S.A.', ' United States', ', United States of America']) {
+    const p = parseAddress(`100 Main St, Tacoma, WA 98402${suffix}`);
+    assert.equal(p.canonical, '100 MAIN ST, TACOMA, WA 98402', suffix);
+  }
+});
+
+test('cities ending in "US" keep their name', () => {
+  assert.equal(parseAddress('100 Main St, Columbus').city, 'COLUMBUS');
+  assert.equal(parseAddress('100 Main St, Columbus, OH 43215').canonical, '100 MAIN ST, COLUMBUS, OH 43215');
+  assert.equal(parseAddress('12 Chestnut St, Emmaus, PA').canonical, '12 CHESTNUT ST, EMMAUS, PA');
+  assert.equal(parseAddress('1 Pine Rd, Columbus OH 43215 USA').city, 'COLUMBUS');
+});
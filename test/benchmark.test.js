@@ -0,0 +1,40 @@
+// Crime benchmarks (benchmark.js): ratios, percentile among the states and year selection.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCrimeBenchmark } = require('../benchmark');
+
+const row = (year, burglary, population = 100000) => ({ year, population, burglary });
+const offenses = { burglary: 'Burglary' };
+
+test('percentile ranks the local rate among the state rates', () => {
+  // 20 states with burglary rates 10, 20, ... 200 per 100k
+  const peers = Array.from({ length: 20 }, (_, i) => ({ 2023: row(2023, (i + 1) * 10) }));
+  const b = computeCrimeBenchmark({
+    local: { level: 'city', year: 2023, row: row(2023, 50) },
+    state: 'WA', stateByYear: { 2023: row(2023, 100) }, nationalByYear: { 2023: row(2023, 200) }, peers, offenses
+  });
+  assert.equal(b.offenses.burglary.vs_state, 0.5);
+  assert.equal(b.offenses.burglary.vs_national, 0.25);
+  assert.equal(b.offenses.burglary.percentile, 23); // 4 below, 1 tie of 20
+  assert.equal(b.percentile_basis, 'states and DC (20, 2023)');
+});
+
+test('too few peers leaves the percentile out', () => {
+  const b = computeCrimeBenchmark({
+    local: { level: 'city', year: 2023, row: row(2023, 50) },
+    state: 'WA', stateByYear: { 2023: row(2023, 100) }, nationalByYear: null, peers: [{ 2023: row(2023, 10) }], offenses
+  });
+  assert.equal(b.offenses.burglary.percentile, null);
+  assert.equal(b.percentile_basis, null);
+});
+
+test('each level uses its latest year at or before the local year, never a later one', () => {
+  const b = computeCrimeBenchmark({
+    local: { level: 'city', year: 2022, row: row(2022, 50) },
+    state: 'WA', stateByYear: { 2021: row(2021, 100), 2023: row(2023, 120) }, nationalByYear: { 2023: row(2023, 200) }, offenses
+  });
+  assert.deepEqual(b.years, { local: 2022, state: 2021, national: null });
+  assert.equal(b.year_mismatch, true);
+  assert.match(b.note, /No national estimates to compare with/);
+  assert.equal(b.offenses.burglary.vs_national, null);
+});
@@ -0,0 +1,126 @@
+// End to end against server.js with every upstream faked (UPSTREAM_MODE=fake): the server runs as a child process on
+// a free port with its data dir (Zillow downloads, batch jobs) and caches in a temp dir, so the working copy's data/
+// is never written.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ADDRESS = '100 Main St, Tacoma, WA 98402';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  });
+});
+
+let server;
+let base;
+let tmp;
+let output = '';
+
+test.before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      UPSTREAM_MODE: 'fake',
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      LLM_PROVIDER: 'gemini',
+      LLM_MODEL: '',
+      LLM_SECTION_MODELS: '',
+      ZILLOW_ZIP_ZHVI_CSV: '',
+      DATA_DIR: tmp,
+      SECTION_CACHE_FILE: path.join(tmp, 'section_cache.json'),
+      FBI_CACHE_FILE: path.join(tmp, 'fbi_cache.json'),
+      GEOCODE_CACHE_FILE: path.join(tmp, 'geocode_cache.json')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', (d) => { output += d; });
+  server.stderr.on('data', (d) => { output += d; });
+  for (let i = 0; i < 100; i++) {
+    if (server.exitCode !== null) throw new Error(`server exited (${server.exitCode}):\n${output}`);
+    const up = await fetch(`${base}/`).then(r => r.ok, () => false);
+    if (up) return;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error(`server did not start:\n${output}`);
+});
+
+test.after(() => {
+  if (server && server.exitCode === null) server.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function post(route, body) {
+  const r = await fetch(`${base}${route}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: r.status, body: await r.json() };
+}
+
+test('POST /api/getPropertyDetails builds every section for an address', async () => {
+  const { status, body } = await post('/api/getPropertyDetails', { address: ADDRESS });
+  assert.equal(status, 200);
+  for (const section of ['amenities_access', 'commute', 'schools', 'crime', 'broadband', 'environmental_risk', 'property_value']) {
+    assert.ok(body[section], `missing section ${section}`);
+  }
+  assert.equal(body._address.city, 'TACOMA');
+  assert.equal(body._address.zip, '98402');
+  assert.equal(body.property_value.type, 'zip');
+  assert.equal(body.property_value.region, '98402');
+  assert.ok(body.property_value.zhvi > 0);
+});
+
+test('POST /api/getPropertyDetails rejects a missing address', async () => {
+  const { status, body } = await post('/api/getPropertyDetails', {});
+  assert.equal(status, 400);
+  assert.match(body.error, /address/i);
+});
+
+test('POST /api/getPlaceDetails returns distance, duration and direction', async () => {
+  const { status, body } = await post('/api/getPlaceDetails', { placeName: 'Safeway', address: ADDRESS });
+  assert.equal(status, 200);
+  assert.match(body.distance, /mi$/);
+  assert.match(body.duration, /min/);
+  assert.ok(['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].includes(body.direction));
+  assert.match(body.url, /^https:\/\/www\.google\.com\/maps\/place\/\?q=place_id:/);
+
+  const missing = await post('/api/getPlaceDetails', { address: ADDRESS });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Missing placeName or address');
+});
+
+test('crime section: FBI numbers for the city with statewide NIBRS details', async () => {
+  const { status, body } = await post('/api/getPropertyDetails', { address: ADDRESS, sections: ['crime'], crime_details: true });
+  assert.equal(status, 200);
+  assert.equal(body.property_value, undefined);
+  const { stats, details } = body.crime;
+  assert.equal(stats.state, 'WA');
+  assert.equal(stats.city, 'Tacoma');
+  assert.ok(Number.isInteger(stats.year));
+  for (const field of ['violent_crime', 'property_crime', 'burglary', 'larceny']) assert.ok(stats[field] >= 0, `${field} not a count`);
+  assert.equal(details.location_types.level, 'state');
+  assert.equal(details.location_types.label, 'WA statewide');
+  assert.equal(details.time_of_day.available, false);
+});
+
+test('POST /api/refreshZillow downloads the ZHVI and reloads every dataset', async () => {
+  const { status, body } = await post('/api/refreshZillow', {});
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.result.zhvi.ok, true);
+  assert.equal(body.result.zhvi.mode, 'download');
+  assert.equal(body.result.zhvi.saved_as, path.join(tmp, 'zillow_latest.csv'));
+  assert.match(body.result.zhvi.latest_month, /^\d{4}-\d{2}$/);
+  assert.equal(body.result.ppsf.mode, 'reload');
+  assert.ok(fs.existsSync(body.result.zhvi.saved_as));
+});
@@ -0,0 +1,61 @@
+// Upstream layer (upstream.js): mode specs, key redaction, record and replay.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUpstream, parseModes, redactUrl } = require('../upstream');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-test-'));
+
+test('parseModes: default mode plus per-provider overrides', () => {
+  assert.deepEqual(parseModes(''), { default: 'live', providers: {} });
+  assert.deepEqual(parseModes('fake'), { default: 'fake', providers: {} });
+  assert.deepEqual(parseModes(' Replay, gemini=fake , fbi=record'), { default: 'replay', providers: { gemini: 'fake', fbi: 'record' } });
+  assert.throws(() => parseModes('offline'), /Unknown upstream mode "offline"/);
+  assert.throws(() => parseModes('bing=fake'), /Unknown upstream provider "bing"/);
+});
+
+test('redactUrl drops key parameters and keeps the rest', () => {
+  assert.equal(redactUrl('https://maps.googleapis.com/maps/api/geocode/json?address=x&key=SECRET'), 'https://maps.googleapis.com/maps/api/geocode/json?address=x');
+  assert.equal(redactUrl('https://api.usa.gov/crime/fbi/cde/agency?API_KEY=SECRET&api_key=SECRET&page=2'), 'https://api.usa.gov/crime/fbi/cde/agency?page=2');
+});
+
+test('record mode saves a fixture without the key, replay answers from it', async (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const url = 'https://api.usa.gov/crime/fbi/cde/agency/byStateAbbr/WA?API_KEY=SECRET';
+  const fetchFn = async () => new Response(JSON.stringify({ results: [{ ori: 'WA0330100' }] }), { headers: { 'content-type': 'application/json' } });
+
+  const recorder = createUpstream({ modes: 'record', dir, fetchFn });
+  assert.deepEqual(await (await recorder.fetch(url)).json(), { results: [{ ori: 'WA0330100' }] });
+  const files = fs.readdirSync(path.join(dir, 'fbi'));
+  assert.equal(files.length, 1);
+  const saved = fs.readFileSync(path.join(dir, 'fbi', files[0]), 'utf8');
+  assert.doesNotMatch(saved, /SECRET/);
+  assert.equal(JSON.parse(saved).request.url, 'https://api.usa.gov/crime/fbi/cde/agency/byStateAbbr/WA');
+
+  // Replay matches the fixture whatever key (or none) is sent
+  const player = createUpstream({ modes: 'replay', dir, fetchFn: () => assert.fail('replay must not go live') });
+  const resp = await player.fetch(url.replace('SECRET', 'OTHER'));
+  assert.equal(resp.status, 200);
+  assert.deepEqual(await resp.json(), { results: [{ ori: 'WA0330100' }] });
+  assert.equal(player.describe().counts.fbi.replayed, 1);
+});
+
+test('replay of a missing fixture answers 404 and warns once', async (t) => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const warn = t.mock.method(console, 'warn', () => {});
+  const player = createUpstream({ modes: 'replay', dir, fetchFn: () => assert.fail('replay must not go live') });
+  const url = 'https://maps.googleapis.com/maps/api/geocode/json?address=nowhere&key=SECRET';
+
+  const resp = await player.fetch(url);
+  assert.equal(resp.status, 404);
+  assert.match((await resp.json()).error, /No recorded google_maps response for GET .*address=nowhere/);
+  await player.fetch(url);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /record it with UPSTREAM_MODE=record/);
+  assert.doesNotMatch(warn.mock.calls[0].arguments[0], /SECRET/);
+  assert.equal(player.describe().counts.google_maps.missing, 2);
+});
@@ -0,0 +1,141 @@
+// Trend analytics for a monthly value series ([{ ym: 'YYYY-MM', value }], oldest first), e.g. ZHVI, and for yearly
+// FBI crime counts (computeCrimeTrends).
+// Percentages are returned as percent numbers rounded to 2 decimals (3.25 = +3.25%); null when the series is too short.
+
+const monthIndex = (ym) => (+ym.slice(0, 4)) * 12 + (+ym.slice(5, 7)) - 1;
+const pct = (ratio) => (Number.isFinite(ratio) ? +(ratio * 100).toFixed(2) : null);
+
+/**
+ * Seasonal factors per calendar month (0-11) from value / centered 2x12 moving average, normalized to average 1.
+ * Needs two full years of consecutive months; otherwise every factor is 1.
+ */
+function seasonalFactors(points) {
+  const factors = new Array(12).fill(1);
+  if (points.length < 25) return factors;
+  const sums = new Array(12).fill(0); const counts = new Array(12).fill(0);
+  for (let i = 6; i < points.length - 6; i++) {
+    // consecutive window only (gaps would skew the average)
+    if (monthIndex(points[i + 6].ym) - monthIndex(points[i - 6].ym) !== 12) continue;
+    let ma = (points[i - 6].value + points[i + 6].value) / 2;
+    for (let k = i - 5; k <= i + 5; k++) ma += points[k].value;
+    ma /= 12;
+    if (!ma) continue;
+    const m = monthIndex(points[i].ym) % 12;
+    sums[m] += points[i].value / ma;
+    counts[m]++;
+  }
+  if (counts.some(c => !c)) return factors;
+  const raw = sums.map((s, m) => s / counts[m]);
+  const mean = raw.reduce((a, b) => a + b, 0) / 12;
+  return raw.map(f => f / mean);
+}
+
+/**
+ * Compute home value trend analytics.
+ * @param {{ym:string, value:number}[]} series Monthly points, oldest first
+ * @param {object} [opts]
+ * @param {number} [opts.trendMonths=240] Points of the seasonally adjusted line to return
+ * @returns {{as_of:string, mom_pct:number|null, yoy_pct:number|null, cagr_3y_pct:number|null, cagr_5y_pct:number|null,
+ *   peak:{month:string, value:number}, drawdown_pct:number, volatility_pct:number|null, seasonally_adjusted:{ym:string, value:number}[]}|null}
+ */
+function computeValueTrends(series, { trendMonths = 240 } = {}) {
+  const points = (series || []).filter(p => p && typeof p.value === 'number' && p.value > 0);
+  if (points.length < 2) return null;
+  const last = points[points.length - 1];
+  const byIndex = new Map(points.map(p => [monthIndex(p.ym), p.value]));
+  const back = (months) => byIndex.get(monthIndex(last.ym) - months);
+  const change = (months) => { const v = back(months); return v ? pct(last.value / v - 1) : null; };
+  const cagr = (years) => { const v = back(years * 12); return v ? pct(Math.pow(last.value / v, 1 / years) - 1) : null; };
+
+  const peak = points.reduce((best, p) => (p.value >= best.value ? p : best), points[0]);
+
+  // Annualized standard deviation of month-over-month changes over the last 5 years
+  const returns = [];
+  for (let i = Math.max(1, points.length - 60); i < points.length; i++) {
+    if (monthIndex(points[i].ym) - monthIndex(points[i - 1].ym) === 1) returns.push(points[i].value / points[i - 1].value - 1);
+  }
+  let volatility = null;
+  if (returns.length >= 12) {
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+    volatility = pct(Math.sqrt(variance) * Math.sqrt(12));
+  }
+
+  const factors = seasonalFactors(points);
+  const seasonally_adjusted = points.slice(-trendMonths).map(p => ({ ym: p.ym, value: +(p.value / factors[monthIndex(p.ym) % 12]).toFixed(2) }));
+
+  return {
+    as_of: last.ym,
+    mom_pct: change(1),
+    yoy_pct: change(12),
+    cagr_3y_pct: cagr(3),
+    cagr_5y_pct: cagr(5),
+    peak: { month: peak.ym, value: peak.value },
+    drawdown_pct: pct(last.value / peak.value - 1),
+    volatility_pct: volatility,
+    seasonally_adjusted
+  };
+}
+
+// Average yearly change (least-squares slope / mean) within which a crime series counts as stable
+const CRIME_STABLE_PCT = 2;
+
+/**
+ * Per-offense crime trends over a window of years. A year missing from `byYear` (or an offense without a count)
+ * means the agency did not report: it stays null in the series and is never treated as zero; year-over-year
+ * change is only computed between consecutive reported years.
+ * @param {number[]} years Window, oldest first
+ * @param {Object<number, object>} byYear year -> { population, <offense>: count }
+ * @param {Object<string, string>} offenses field -> label (e.g. { violent_crime: 'Violent crime' })
+ * @returns {{from:number, to:number, years:number[], not_reported_years:number[], offenses:object, summary:string}}
+ */
+function computeCrimeTrends(years, byYear, offenses) {
+  const notReported = years.filter(y => !byYear[y]);
+  const result = {};
+  for (const field of Object.keys(offenses)) {
+    const series = years.map(year => {
+      const row = byYear[year];
+      const count = row && Number.isFinite(row[field]) ? row[field] : null;
+      return { year, count, rate_per_100k: count !== null && row.population ? +(count / row.population * 100000).toFixed(1) : null, reported: count !== null, yoy_pct: null };
+    });
+    // Rates when populations are known (they move with population), counts otherwise
+    const value = (p) => (p.rate_per_100k !== null ? p.rate_per_100k : p.count);
+    for (let i = 1; i < series.length; i++) {
+      const prev = series[i - 1]; const cur = series[i];
+      if (prev.reported && cur.reported && value(prev) > 0) cur.yoy_pct = pct(value(cur) / value(prev) - 1);
+    }
+    const points = series.filter(p => p.reported);
+    if (points.length < 2) {
+      result[field] = { series, change_pct: null, avg_yearly_change_pct: null, direction: 'insufficient_data' };
+      continue;
+    }
+    const first = points[0]; const last = points[points.length - 1];
+    const mean = points.reduce((a, p) => a + value(p), 0) / points.length;
+    const meanYear = points.reduce((a, p) => a + p.year, 0) / points.length;
+    let num = 0; let den = 0;
+    for (const p of points) { num += (p.year - meanYear) * (value(p) - mean); den += (p.year - meanYear) ** 2; }
+    const slopePct = mean ? pct(num / den / mean) : null;
+    result[field] = {
+      series,
+      from_year: first.year,
+      to_year: last.year,
+      change_pct: value(first) > 0 ? pct(value(last) / value(first) - 1) : null,
+      avg_yearly_change_pct: slopePct,
+      direction: slopePct === null || Math.abs(slopePct) < CRIME_STABLE_PCT ? 'stable' : slopePct > 0 ? 'rising' : 'falling'
+    };
+  }
+
+  const describe = (field, i) => {
+    const t = result[field];
+    if (!t || t.direction === 'insufficient_data') return null;
+    const verb = t.direction === 'stable' ? 'was roughly stable' : t.direction === 'rising' ? 'rose' : 'fell';
+    const change = t.change_pct !== null && t.direction !== 'stable' ? ` ${Math.abs(t.change_pct).toFixed(0)}%` : '';
+    return `${i ? offenses[field].toLowerCase() : offenses[field]} ${verb}${change} (${t.from_year}–${t.to_year})`;
+  };
+  const parts = Object.keys(offenses).slice(0, 2).map(describe).filter(Boolean);
+  let summary = parts.length ? `${parts.join('; ')}.` : 'Not enough reported years to compute a trend.';
+  if (notReported.length) summary += ` No data reported for ${notReported.join(', ')}.`;
+  return { from: years[0], to: years[years.length - 1], years, not_reported_years: notReported, offenses: result, summary };
+}
+
+module.exports = { computeValueTrends, computeCrimeTrends };
@@ -0,0 +1,191 @@
+// Upstream HTTP layer: every call the server makes to Gemini, Google Maps, the FBI Crime Data API, the Census
+// geocoder and Zillow downloads goes through `fetch` here (the Google Maps client through `axiosAdapter`).
+// Each provider runs in one mode:
+//   live    straight to the network (default)
+//   record  live, and every request / response pair is saved as a fixture file
+//   replay  answered from the fixture files only; a request that was never recorded gets a 404 and a warning
+//   fake    answered by the provider's built-in fake (fakes.js): no network, fixtures or keys
+// Fixtures are <dir>/<provider>/<name>-<hash>.json, keyed by method, URL and body with API keys removed, so a
+// recording never contains a key and replays whatever key (or none) is configured. Non-JSON bodies (Zillow CSVs)
+// are saved next to the fixture as <name>-<hash>.body. Hosts outside the providers (a local OpenAI-compatible
+// server, ...) always go live.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FAKES } = require('./fakes');
+
+const PROVIDERS = {
+  gemini: /^generativelanguage\.googleapis\.com$/,
+  google_maps: /^maps\.googleapis\.com$/,
+  fbi: /^api\.usa\.gov$/,
+  census: /^geocoding\.geo\.census\.gov$/,
+  zillow: /(^|\.)zillowstatic\.com$/
+};
+const MODES = ['live', 'record', 'replay', 'fake'];
+const SECRET_PARAMS = /^(key|api_?key)$/i;
+// Stands in for a missing key in replay / fake mode, so key checks pass without a real key
+const OFFLINE_KEY = 'offline';
+
+const providerFor = (host) => Object.keys(PROVIDERS).find(p => PROVIDERS[p].test(host)) || null;
+
+/**
+ * Parse a mode spec: a default mode plus per-provider overrides, e.g. "replay,gemini=fake,fbi=record".
+ * @param {string} spec
+ * @returns {{default:string, providers:Object<string,string>}}
+ */
+function parseModes(spec) {
+  const out = { default: 'live', providers: {} };
+  String(spec || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+    const [a, b] = entry.split('=').map(s => s.trim());
+    const mode = b === undefined ? a : b;
+    if (!MODES.includes(mode)) throw new Error(`Unknown upstream mode "${mode}" (expected one of ${MODES.join(', ')})`);
+    if (b === undefined) out.default = mode;
+    else if (!PROVIDERS[a]) throw new Error(`Unknown upstream provider "${a}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    else out.providers[a] = mode;
+  });
+  return out;
+}
+
+// URL without key parameters (what fixtures are keyed on and what they record)
+function redactUrl(url) {
+  const u = new URL(url);
+  for (const k of [...u.searchParams.keys()]) if (SECRET_PARAMS.test(k)) u.searchParams.delete(k);
+  return u.toString();
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.modes] Mode spec (see parseModes), e.g. config.upstream.mode (UPSTREAM_MODE)
+ * @param {string} opts.dir Fixture directory
+ * @param {Function} [opts.fetchFn=fetch] Network fetch used in live / record mode
+ */
+function createUpstream({ modes, dir, fetchFn = fetch }) {
+  const spec = parseModes(modes);
+  const counts = {}; // provider -> { live, recorded, replayed, faked, missing }
+  const warned = new Set();
+  const modeFor = (provider) => (provider ? spec.providers[provider] || spec.default : 'live');
+  const count = (provider, what) => {
+    const c = counts[provider] || (counts[provider] = { live: 0, recorded: 0, replayed: 0, faked: 0, missing: 0 });
+    c[what]++;
+  };
+
+  function fixtureFile(provider, req) {
+    const u = new URL(req.url);
+    const name = u.pathname.split('/').filter(Boolean).join('-').replace(/[^\w.-]+/g, '_').slice(-80) || 'root';
+    const hash = crypto.createHash('sha1').update(`${req.method} ${req.url}\n${req.body || ''}`).digest('hex').slice(0, 12);
+    return path.join(dir, provider, `${name}-${hash}.json`);
+  }
+
+  const notFound = (message) => new Response(JSON.stringify({ error: message }), { status: 404, headers: { 'content-type': 'application/json' } });
+
+  function replay(provider, req) {
+    const file = fixtureFile(provider, req);
+    if (!fs.existsSync(file)) {
+      count(provider, 'missing');
+      const message = `No recorded ${provider} response for ${req.method} ${req.url}`;
+      if (!warned.has(file)) { warned.add(file); console.warn(`${message} (record it with UPSTREAM_MODE=record)`); }
+      return notFound(message);
+    }
+    count(provider, 'replayed');
+    const f = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const body = f.response.body_file ? fs.readFileSync(path.join(path.dirname(file), f.response.body_file)) : JSON.stringify(f.response.json);
+    return new Response(body, { status: f.response.status, headers: { ...f.response.headers, 'content-length': String(Buffer.byteLength(body)) } });
+  }
+
+  async function record(provider, req, input, init) {
+    const resp = await fetchFn(input, init);
+    const buf = Buffer.from(await resp.arrayBuffer());
+    const file = fixtureFile(provider, req);
+    const contentType = resp.headers.get('content-type') || '';
+    const response = { status: resp.status, headers: contentType ? { 'content-type': contentType } : {} };
+    let json;
+    try { json = /json/.test(contentType) ? JSON.parse(buf.toString('utf8')) : undefined; } catch (_) {}
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (json !== undefined) response.json = json;
+    else {
+      response.body_file = path.basename(file).replace(/\.json$/, '.body');
+      fs.writeFileSync(path.join(path.dirname(file), response.body_file), buf);
+    }
+    fs.writeFileSync(file, JSON.stringify({ recorded_at: new Date().toISOString(), request: req, response }, null, 2));
+    count(provider, 'recorded');
+    return new Response(buf, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+  }
+
+  async function fake(provider, req) {
+    const out = FAKES[provider] ? await FAKES[provider](new URL(req.url), req) : null;
+    if (!out) {
+      count(provider, 'missing');
+      return notFound(`No ${provider} fake for ${req.method} ${req.url}`);
+    }
+    count(provider, 'faked');
+    const body = out.json !== undefined ? JSON.stringify(out.json) : out.text;
+    return new Response(body, { status: out.status || 200, headers: { 'content-type': out.contentType || 'application/json', 'content-length': String(Buffer.byteLength(body)) } });
+  }
+
+  /**
+   * Drop-in fetch: routes by host to the provider's mode.
+   * @param {string|URL} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async function upstreamFetch(input, init = {}) {
+    const provider = providerFor(new URL(String(input)).hostname);
+    const mode = modeFor(provider);
+    if (mode === 'live') {
+      if (provider) count(provider, 'live');
+      return fetchFn(input, init);
+    }
+    const req = { method: (init.method || 'GET').toUpperCase(), url: redactUrl(String(input)), body: typeof init.body === 'string' ? init.body : null };
+    if (mode === 'fake') return fake(provider, req);
+    if (mode === 'replay') return replay(provider, req);
+    return record(provider, req, input, init);
+  }
+
+  /**
+   * axios adapter for clients built on axios (the Google Maps client): the request goes through upstreamFetch.
+   * @param {object} config axios request config
+   */
+  async function axiosAdapter(config) {
+    const serialize = typeof config.paramsSerializer === 'function' ? config.paramsSerializer : config.paramsSerializer?.serialize;
+    const query = config.params ? (serialize ? serialize(config.params) : new URLSearchParams(config.params).toString()) : '';
+    const base = `${config.baseURL || ''}${config.url}`;
+    const url = query ? `${base}${base.includes('?') ? '&' : '?'}${query}` : base;
+    const resp = await upstreamFetch(url, {
+      method: (config.method || 'get').toUpperCase(),
+      body: typeof config.data === 'string' ? config.data : config.data ? JSON.stringify(config.data) : undefined,
+      headers: config.data ? { 'Content-Type': 'application/json' } : {},
+      signal: config.timeout ? AbortSignal.timeout(config.timeout) : undefined
+    });
+    const text = await resp.text();
+    let data = text;
+    try { data = JSON.parse(text); } catch (_) {}
+    const response = { data, status: resp.status, statusText: resp.statusText, headers: Object.fromEntries(resp.headers), config, request: {} };
+    const ok = config.validateStatus ? config.validateStatus(resp.status) : resp.ok;
+    if (!ok) throw Object.assign(new Error(`Request failed with status code ${resp.status}`), { config, response });
+    return response;
+  }
+
+  return {
+    fetch: upstreamFetch,
+    axiosAdapter,
+    /** Mode a provider runs in */
+    mode: modeFor,
+    /**
+     * The configured key, or a placeholder when the provider is replayed / faked (no real key needed offline).
+     * @param {string} provider
+     * @param {string|undefined} key
+     */
+    apiKey(provider, key) {
+      return key || (['replay', 'fake'].includes(modeFor(provider)) ? OFFLINE_KEY : key);
+    },
+    describe() {
+      return {
+        modes: Object.fromEntries(Object.keys(PROVIDERS).map(p => [p, modeFor(p)])),
+        fixtures_dir: dir,
+        counts
+      };
+    }
+  };
+}
+
+module.exports = { createUpstream, parseModes, redactUrl, PROVIDERS };
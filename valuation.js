@@ -0,0 +1,107 @@
+// Size-based value estimate: metro price per sqft x the home's square footage, scaled by how the ZIP's ZHVI compares
+// to its metro's ZHVI (the metro PPSF series has no ZIP-level counterpart). Beds and year built only adjust the
+// estimate / band with simple rules of thumb; the result is a range, not an appraisal.
+
+// [field, min, max, integer]
+const ATTRIBUTE_RANGES = [
+  ['sqft', 100, 50000, false],
+  ['beds', 0, 20, true],
+  ['year_built', 1700, new Date().getFullYear() + 2, true]
+];
+
+// Half-width of the range (fraction of the estimate) before adjustments
+const BASE_BAND = { zip: 0.15, metro: 0.25 };
+// Newer homes sell above the metro median PPSF, older ones below: +/-0.3% per year of age difference vs. AGE_PIVOT, capped
+const AGE_PIVOT_YEARS = 40;
+const AGE_FACTOR_PER_YEAR = 0.003;
+const AGE_FACTOR_CAP = 0.12;
+// Typical square feet per bedroom; outside this the home is unusual for its size and the band widens
+const SQFT_PER_BED = [250, 900];
+
+/**
+ * Read optional property attributes (sqft, beds, year_built) from a request body or query.
+ * @param {object} src
+ * @returns {{attributes: {sqft?:number, beds?:number, year_built?:number}|null, errors: string[]}}
+ */
+function parsePropertyAttributes(src = {}) {
+  const attributes = {};
+  const errors = [];
+  for (const [field, min, max, integer] of ATTRIBUTE_RANGES) {
+    const raw = src[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const v = Number(raw);
+    if (!Number.isFinite(v) || v < min || v > max || (integer && !Number.isInteger(v))) errors.push(`${field} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+    else attributes[field] = v;
+  }
+  return { attributes: Object.keys(attributes).length ? attributes : null, errors };
+}
+
+const round = (v, step = 1000) => Math.round(v / step) * step;
+
+/**
+ * Estimate a home's value from its size.
+ * @param {object} pv property_value block (needs price_per_sqft; zhvi/type/region for the ZIP adjustment)
+ * @param {number|null} metroZhvi ZHVI of pv.price_per_sqft.metro_key (null when unknown)
+ * @param {{sqft:number, beds?:number, year_built?:number}} attributes
+ * @returns {object|null} null when sqft or metro PPSF is missing
+ */
+function estimateValueFromSize(pv, metroZhvi, attributes) {
+  const ppsf = pv?.price_per_sqft?.value;
+  if (!attributes?.sqft || !ppsf) return null;
+  const notes = [];
+  let method = 'metro_ppsf';
+  let ratio = 1;
+  let band = BASE_BAND.metro;
+  if (pv.type === 'zip' && pv.zhvi && metroZhvi) {
+    ratio = pv.zhvi / metroZhvi;
+    method = 'metro_ppsf_x_zip_ratio';
+    band = BASE_BAND.zip;
+  } else if (pv.type === 'zip') {
+    notes.push('Metro ZHVI unavailable; no ZIP-level adjustment applied.');
+  }
+
+  let ageFactor = 1;
+  if (attributes.year_built) {
+    const age = Math.max(0, new Date().getFullYear() - attributes.year_built);
+    const adj = Math.max(-AGE_FACTOR_CAP, Math.min(AGE_FACTOR_CAP, (AGE_PIVOT_YEARS - age) * AGE_FACTOR_PER_YEAR));
+    ageFactor = 1 + adj;
+  } else {
+    band += 0.05;
+    notes.push('Year built not given; age adjustment skipped and range widened.');
+  }
+  if (attributes.beds) {
+    const perBed = attributes.sqft / attributes.beds;
+    if (perBed < SQFT_PER_BED[0] || perBed > SQFT_PER_BED[1]) {
+      band += 0.05;
+      notes.push(`${Math.round(perBed)} sq ft per bedroom is unusual; range widened.`);
+    }
+  }
+
+  const adjustedPpsf = ppsf * ratio * ageFactor;
+  const estimate = attributes.sqft * adjustedPpsf;
+  return {
+    estimate: round(estimate),
+    low: round(estimate * (1 - band)),
+    high: round(estimate * (1 + band)),
+    band_pct: +(band * 100).toFixed(1),
+    method,
+    method_description: method === 'metro_ppsf_x_zip_ratio'
+      ? 'Square feet x metro median price per sqft, scaled by ZIP ZHVI / metro ZHVI, adjusted for age when year built is given.'
+      : 'Square feet x metro median price per sqft, adjusted for age when year built is given.',
+    inputs: attributes,
+    components: {
+      metro_key: pv.price_per_sqft.metro_key || null,
+      metro_ppsf: ppsf,
+      ppsf_month: pv.price_per_sqft.latest_month || null,
+      zip: pv.type === 'zip' ? pv.region : null,
+      zip_zhvi: pv.type === 'zip' ? pv.zhvi : null,
+      metro_zhvi: metroZhvi,
+      zip_to_metro_ratio: +ratio.toFixed(3),
+      age_factor: +ageFactor.toFixed(3),
+      adjusted_ppsf: +adjustedPpsf.toFixed(2)
+    },
+    notes
+  };
+}
+
+module.exports = { parsePropertyAttributes, estimateValueFromSize };
@@ -0,0 +1,321 @@
+// Zillow wide-format datasets (one row per region, one column per month).
+// Each dataset is declared once in a registry entry; the same loader, refresh path and lookup serve all of them:
+//   { id, name, units, field, regionTypes, source, downloadAs, required, describe }
+// id          short key ("zhvi", "ppsf", ...)
+// name        display / source name
+// units       "usd", "usd_per_sqft", "index", ...
+// field       key the lookup block is attached under in property_value (omit for the primary dataset)
+// regionTypes RegionType values to keep (lowercase: "zip", "msa")
+// source      () => local path or http(s) URL, null when not configured
+// downloadAs  file name in the data dir a remote source is saved to on refresh (null = always read the source)
+// required    refresh fails when this dataset can't be downloaded
+// describe    optional (entry) => extra fields for the lookup block (e.g. labels)
+//
+// Files are streamed row by row; each region keeps its monthly values in a Float64Array (NaN = no value; values stay
+// exactly as in the CSV) indexed by the dataset's shared month list, and is expanded to { date, value, series } only
+// when looked up.
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { readCsvRows } = require('./csv');
+const { parseAddress } = require('./address');
+
+const isUrl = (s) => /^https?:\/\//i.test(s);
+
+// Metro city names compared without periods ("ST. LOUIS" = "ST LOUIS", the canonical address form)
+const metroCity = (key) => key.split(',')[0].replace(/\./g, '');
+
+/**
+ * Exact metro key for a city / state pair ("St Louis", "MO" -> "ST. LOUIS, MO").
+ * @param {Map<string, *>} msaMap
+ * @param {string} city
+ * @param {string} state 2-letter code
+ * @returns {string|null}
+ */
+function msaKeyFor(msaMap, city, state) {
+  if (!msaMap || !city || !state) return null;
+  const directKey = `${city}, ${state}`.toUpperCase();
+  if (msaMap.has(directKey)) return directKey;
+  const target = directKey.replace(/\./g, '');
+  for (const key of msaMap.keys()) if (key.replace(/\./g, '') === target) return key;
+  return null;
+}
+
+/**
+ * Resolve the metro key ("CITY, ST") for an address against a metro map: exact, prefix, then fuzzy (Levenshtein <= 3).
+ * @param {string} address
+ * @param {Map<string, *>} msaMap
+ * @returns {string|null}
+ */
+function findMsaKeyForAddress(address, msaMap) {
+  if (!address || !msaMap || !msaMap.size) return null;
+  const { city, state } = parseAddress(address);
+  if (!city || !state) return null;
+  const directKey = msaKeyFor(msaMap, city, state);
+  if (directKey) return directKey;
+  // Partial startsWith
+  for (const key of msaMap.keys()) {
+    if (key.endsWith(`, ${state}`) && metroCity(key).startsWith(city)) return key;
+  }
+  // Fuzzy
+  const levenshtein = (a,b)=>{ const m=[...Array(b.length+1)].map((_,i)=>i); for(let i=1;i<=a.length;i++){ let prev=i-1; m[0]=i; for(let j=1;j<=b.length;j++){ const tmp=m[j]; m[j]=a[i-1]===b[j-1]?prev:Math.min(prev,m[j-1],m[j])+1; prev=tmp;} } return m[b.length]; };
+  let bestDist = Infinity; let best = null;
+  for (const key of msaMap.keys()) {
+    if (!key.endsWith(`, ${state}`)) continue;
+    const dist = levenshtein(metroCity(key), city);
+    if (dist < bestDist) { bestDist = dist; best = key; }
+  }
+  if (bestDist <= 3) return best;
+  return null;
+}
+
+/**
+ * Ingest a wide-format Zillow CSV from a stream, keeping the given region types.
+ * ZIP keys are kept as-is, other region keys are upper-cased ("SEATTLE, WA").
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {string[]} regionTypes
+ * @param {(p:{bytes:number, rows:number})=>void} onProgress
+ * @returns {Promise<{months:string[], latestMonth:string, maps:Object<string, Map<string, {values:Float64Array, last:number, state?:string}>>}|null>}
+ */
+async function ingestWideCsv(stream, regionTypes, onProgress) {
+  const maps = Object.fromEntries(regionTypes.map(t => [t, new Map()]));
+  let header = null; let months; let dateCols; let regionNameIdx; let regionTypeIdx; let stateIdx;
+  let rows = 0;
+  for await (const row of readCsvRows(stream, (bytes) => onProgress({ bytes, rows }))) {
+    if (!header) {
+      header = row;
+      // Identify date columns (YYYY-MM or YYYY-MM-DD). We'll store YYYY-MM for display.
+      dateCols = header.map((h,i)=> (/^(19|20)\d{2}-\d{2}(-\d{2})?$/.test(h.trim()) ? i : -1)).filter(i => i >= 0);
+      if (!dateCols.length) throw new Error(`no date columns detected (header length ${header.length})`);
+      months = dateCols.map(i => header[i].trim().slice(0,7));
+      regionNameIdx = header.findIndex(h=>/RegionName/i.test(h));
+      regionTypeIdx = header.findIndex(h=>/RegionType/i.test(h));
+      stateIdx = header.findIndex(h=>/^State$/i.test(h)||/StateName/i.test(h));
+      if (regionNameIdx === -1 || regionTypeIdx === -1) throw new Error('missing RegionName or RegionType columns');
+      continue;
+    }
+    rows++;
+    if (row.length < header.length) continue;
+    const regionName = row[regionNameIdx]?.trim();
+    const regionType = (row[regionTypeIdx] || '').trim().toLowerCase();
+    if (!regionName || !maps[regionType]) continue;
+    const values = new Float64Array(dateCols.length).fill(NaN);
+    let last = -1;
+    for (let di=0; di<dateCols.length; di++) {
+      const valStr = row[dateCols[di]];
+      if (valStr && !isNaN(+valStr)) { values[di] = +valStr; last = di; }
+    }
+    if (last < 0) continue;
+    const rec = { values, last };
+    if (stateIdx >= 0) rec.state = (row[stateIdx] || '').trim();
+    maps[regionType].set(regionType === 'zip' ? regionName : regionName.toUpperCase(), rec);
+  }
+  if (!header) return null;
+  return { months, latestMonth: months[months.length-1], maps };
+}
+
+/**
+ * Expand a compact region record to { date, value, state, series } (series limited to the last `limit` points).
+ */
+function expandRecord(months, rec, limit = Infinity) {
+  const series = [];
+  for (let i = 0; i <= rec.last; i++) {
+    if (!Number.isNaN(rec.values[i])) series.push({ ym: months[i], value: rec.values[i] });
+  }
+  return { date: months[rec.last], value: rec.values[rec.last], state: rec.state, series: series.slice(-limit) };
+}
+
+/**
+ * Create the dataset registry.
+ * @param {object} opts
+ * @param {object[]} opts.datasets Registry entries (see top of file)
+ * @param {string} opts.dataDir Where refreshed downloads are saved
+ * @param {Function} [opts.fetchFn=fetch] Used for remote sources
+ */
+function createZillowRegistry({ datasets, dataDir, fetchFn = fetch }) {
+  const defs = new Map(datasets.map(d => [d.id, d]));
+  const loaded = new Map(); // id -> { id, name, units, source, loadedAt, downloadedAt, months, latestMonth, maps }
+  const loading = new Map(); // id -> { src, promise, progress: { source, bytes, total_bytes, rows, started_at } }
+  const failures = new Map(); // id -> { source, error, at } of the last failed load (cleared by a successful one)
+
+  function def(id) {
+    const d = defs.get(id);
+    if (!d) throw new Error(`Unknown Zillow dataset "${id}"`);
+    return d;
+  }
+
+  async function ingest(d, src) {
+    let stream; let origin; let totalBytes = null; let downloadedAt = null;
+    if (isUrl(src)) {
+      const resp = await fetchFn(src);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      stream = Readable.fromWeb(resp.body);
+      totalBytes = +resp.headers.get('content-length') || null;
+      origin = src;
+    } else {
+      origin = path.resolve(src);
+      const st = fs.statSync(origin);
+      totalBytes = st.size;
+      // A previously refreshed download: its mtime is the download time (persists across restarts)
+      if (d.downloadAs && path.basename(origin) === d.downloadAs) downloadedAt = st.mtime;
+      stream = fs.createReadStream(origin, { highWaterMark: 1 << 20 });
+    }
+    const progress = loading.get(d.id).progress;
+    Object.assign(progress, { source: origin, total_bytes: totalBytes });
+    let logged = 0;
+    const parsed = await ingestWideCsv(stream, d.regionTypes, ({ bytes, rows }) => {
+      Object.assign(progress, { bytes, rows });
+      const pct = totalBytes ? Math.floor((bytes / totalBytes) * 4) * 25 : 0;
+      if (pct > logged && pct < 100) { logged = pct; console.log(`Loading ${d.name}: ${pct}% (${rows} rows)`); }
+    });
+    if (!parsed) throw new Error('file is empty');
+    // Swap in only once the whole file is ingested; lookups keep using the previous data until then
+    const state = { id: d.id, name: d.name, units: d.units, source: origin, loadedAt: new Date(), downloadedAt, ...parsed };
+    loaded.set(d.id, state);
+    failures.delete(d.id);
+    console.log(`Loaded ${d.name} from ${origin} -> ${Object.entries(parsed.maps).map(([t, m]) => `${t.toUpperCase()}: ${m.size}`).join(', ')}`);
+    return state;
+  }
+
+  /**
+   * (Re)load one dataset from a path/URL (defaults to its configured source). Failures are logged and keep the old data.
+   * Concurrent calls for the same dataset and source share one load.
+   * @returns {Promise<object|null>} Loaded dataset state
+   */
+  function load(id, source) {
+    const d = def(id);
+    const src = source || d.source();
+    if (!src) return Promise.resolve(null);
+    const current = loading.get(id);
+    if (current && current.src === src) return current.promise;
+    const entry = { src, progress: { source: src, bytes: 0, total_bytes: null, rows: 0, started_at: new Date().toISOString() } };
+    entry.promise = (current ? current.promise : Promise.resolve())
+      .then(() => ingest(d, src))
+      .catch(e => {
+        console.warn(`Failed to load ${d.name} CSV:`, e.message);
+        failures.set(id, { source: src, error: e.message, at: new Date() });
+        return null;
+      })
+      .finally(() => { if (loading.get(id) === entry) loading.delete(id); });
+    loading.set(id, entry);
+    return entry.promise;
+  }
+
+  /** Load every configured dataset that isn't loaded yet. */
+  async function ensure() {
+    await Promise.all(datasets.filter(d => !loaded.has(d.id) && d.source()).map(d => load(d.id)));
+  }
+
+  /**
+   * Download remote sources into the data dir (datasets with downloadAs) and reload everything.
+   * @returns {Promise<object>} Per-dataset outcome
+   */
+  async function refresh() {
+    const out = {};
+    for (const d of datasets) {
+      const src = d.source();
+      if (!src) {
+        if (d.required) throw new Error(`No ${d.name} dataset URL configured`);
+        out[d.id] = { ok: false, note: 'not configured' };
+        continue;
+      }
+      if (!isUrl(src) || !d.downloadAs) {
+        const state = await load(d.id);
+        out[d.id] = { ok: !!state, mode: 'reload', source: src, latest_month: state?.latestMonth || null };
+        continue;
+      }
+      const target = path.join(dataDir, d.downloadAs);
+      const resp = await fetchFn(src);
+      if (!resp.ok) {
+        if (d.required) throw new Error(`${d.name} download failed: HTTP ${resp.status}`);
+        console.warn(`${d.name} download failed:`, resp.status);
+        out[d.id] = { ok: false, mode: 'download', source: src, error: `HTTP ${resp.status}` };
+        continue;
+      }
+      // Stream to a temp file, then swap it in (the loaded data keeps serving meanwhile)
+      fs.mkdirSync(dataDir, { recursive: true });
+      await pipeline(Readable.fromWeb(resp.body), fs.createWriteStream(`${target}.tmp`));
+      fs.renameSync(`${target}.tmp`, target);
+      const state = await load(d.id, target);
+      out[d.id] = { ok: !!state, mode: 'download', source: src, saved_as: target, downloaded_at: state?.downloadedAt || null, latest_month: state?.latestMonth || null };
+    }
+    return out;
+  }
+
+  /**
+   * Every loaded dataset with a row for the ZIP and/or metro. The metro is matched exactly, or resolved from the
+   * address (prefix / fuzzy) per dataset when given.
+   * @param {{zip?:string, metro?:string, address?:string, seriesMonths?:number}} q
+   * @returns {Object<string, object>} id -> { dataset, name, units, region_type, key, latest_month, value, series, ...describe() }
+   */
+  function lookup({ zip, metro, address, seriesMonths = 240 } = {}) {
+    const out = {};
+    for (const d of datasets) {
+      const state = loaded.get(d.id);
+      if (!state) continue;
+      let type = null; let key = null;
+      if (zip && state.maps.zip?.has(zip)) { type = 'zip'; key = zip; }
+      else if (state.maps.msa) {
+        const m = metro ? metro.toUpperCase() : null;
+        key = m && state.maps.msa.has(m) ? m : (address ? findMsaKeyForAddress(address, state.maps.msa) : null);
+        if (key) type = 'msa';
+      }
+      if (!type) continue;
+      const entry = expandRecord(state.months, state.maps[type].get(key), seriesMonths);
+      out[d.id] = {
+        dataset: d.id,
+        name: d.name,
+        units: d.units,
+        region_type: type,
+        key,
+        latest_month: entry.date,
+        value: entry.value,
+        series: entry.series,
+        ...(d.describe ? d.describe(entry) : {})
+      };
+    }
+    return out;
+  }
+
+  return {
+    load,
+    ensure,
+    refresh,
+    lookup,
+    /** Loaded state for a dataset (compact records by region type, keyed by ZIP / metro), or null. */
+    get: (id) => loaded.get(id) || null,
+    /**
+     * One region of a dataset expanded to { date, value, state, series }, or null.
+     * @param {string} id
+     * @param {'zip'|'msa'} type
+     * @param {string} key
+     */
+    entry(id, type, key) {
+      const state = loaded.get(id);
+      const rec = state?.maps[type]?.get(key);
+      return rec ? expandRecord(state.months, rec) : null;
+    },
+    /** Registry entries (declaration order). */
+    definitions: () => datasets,
+    /** Version tag that changes whenever any dataset's latest month changes. */
+    version() {
+      return datasets.map(d => `${d.id}:${loaded.get(d.id)?.latestMonth || '-'}`).join('|');
+    },
+    /** Summary of each dataset (no rows). */
+    describe() {
+      return datasets.map(d => {
+        const s = loaded.get(d.id);
+        return {
+          id: d.id, name: d.name, units: d.units, configured_source: d.source() || null, loaded: !!s,
+          latest_month: s?.latestMonth || null, loaded_at: s?.loadedAt || null, downloaded_at: s?.downloadedAt || null,
+          regions: s ? Object.fromEntries(Object.entries(s.maps).map(([t, m]) => [t, m.size])) : null,
+          loading: loading.has(d.id) ? { ...loading.get(d.id).progress } : null,
+          last_error: failures.get(d.id) || null
+        };
+      });
+    }
+  };
+}
+
+module.exports = { createZillowRegistry, findMsaKeyForAddress, msaKeyFor };